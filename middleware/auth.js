@@ -1,39 +1,507 @@
 const jwt = require('jsonwebtoken');
-const { userOps } = require('../models/database');
+const crypto = require('crypto');
+const { userOps, sessionOps, settingsOps, patOps, groupOps, impersonationOps } = require('../models/database');
+const { CSRF_COOKIE, getAuthCookies, issueCsrfCookie, clearCsrfCookie, checkCsrf, sendCsrfFailure } = require('./csrf');
+const { hasPermission, isStaff } = require('../utils/permissions');
+const { getAccountStatusError } = require('../utils/accountStatus');
+const { recordAudit } = require('../utils/audit');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key';
 
-// Verify JWT token from cookie or Authorization header
+// Access tokens are short-lived; refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = 7;
+
+// Pending two-factor challenges issued after a correct password
+const CHALLENGE_TOKEN_TTL_SECONDS = 5 * 60;
+const CHALLENGE_AUDIENCE = 'codeally-2fa-challenge';
+
+// State, nonce and PKCE verifier for an in-flight SSO redirect
+const OIDC_STATE_TTL_SECONDS = 10 * 60;
+const OIDC_STATE_AUDIENCE = 'codeally-oidc-state';
+
+// "View as user": an admin browses the portal as another user with a separate, time-boxed
+// access token. It lives in its own cookie so the admin's session is untouched and
+// takes over again when the impersonation ends.
+const IMPERSONATION_COOKIE = 'impersonationToken';
+const IMPERSONATION_AUDIENCE = 'codeally-impersonation';
+const MAX_IMPERSONATION_MINUTES = 60;
+
+// Personal access tokens are recognisable by prefix and only work on routes that allow one of their scopes
+const PAT_PREFIX = 'cap_';
+const PAT_SCOPES = {
+    'files:read': 'Download the extension and read file info',
+    'logs:read': 'Read LLM session logs and stats (needs the logs:read permission)',
+    'llm:use': 'Use the LLM assistant and chat completions endpoints'
+};
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+};
+
+function hashRefreshSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Generate JWT access token bound to a session and the user's token version
+const generateToken = (user, sessionId) => {
+    return jwt.sign(
+        { userId: user.id, sid: sessionId, tv: user.tokenVersion || 0 },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+};
+
+// Short-lived token proving the password step of a two-step signin succeeded
+const generateChallengeToken = (userId) => {
+    return jwt.sign({ userId }, JWT_SECRET, {
+        expiresIn: CHALLENGE_TOKEN_TTL_SECONDS,
+        audience: CHALLENGE_AUDIENCE
+    });
+};
+
+// Returns the user id for a valid challenge token, or null
+const verifyChallengeToken = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+        return decoded.userId;
+    } catch (error) {
+        return null;
+    }
+};
+
+const generateOidcStateToken = (flow) => {
+    return jwt.sign(flow, JWT_SECRET, {
+        expiresIn: OIDC_STATE_TTL_SECONDS,
+        audience: OIDC_STATE_AUDIENCE
+    });
+};
+
+// Returns the stored flow for a valid state token, or null
+const verifyOidcStateToken = (stateToken) => {
+    try {
+        return jwt.verify(stateToken, JWT_SECRET, { audience: OIDC_STATE_AUDIENCE });
+    } catch (error) {
+        return null;
+    }
+};
+
+// Start impersonating target as admin; returns the impersonation id and its access token
+const startImpersonation = (admin, target, minutes, reason, req) => {
+    const id = crypto.randomUUID();
+    impersonationOps.create(id, admin.id, target.id, reason, minutes, req.ip || null);
+
+    const token = jwt.sign(
+        { userId: target.id, imp: id, tv: target.tokenVersion || 0, atv: admin.tokenVersion || 0 },
+        JWT_SECRET,
+        { expiresIn: minutes * 60, audience: IMPERSONATION_AUDIENCE }
+    );
+    return { id, token, expiresIn: minutes * 60 };
+};
+
+// Returns the impersonation id in a token, even an expired one, or null
+const readImpersonationId = (token) => {
+    try {
+        return jwt.verify(token, JWT_SECRET, { audience: IMPERSONATION_AUDIENCE, ignoreExpiration: true }).imp || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const setImpersonationCookie = (res, impersonation) => {
+    res.cookie(IMPERSONATION_COOKIE, impersonation.token, {
+        ...cookieOptions,
+        maxAge: impersonation.expiresIn * 1000
+    });
+};
+
+// Start a new session and return its access/refresh token pair
+const createSession = (user, req) => {
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    sessionOps.create(
+        sessionId,
+        user.id,
+        hashRefreshSecret(secret),
+        REFRESH_TOKEN_TTL_DAYS,
+        req.headers['user-agent'] || null,
+        req.ip || null
+    );
+
+    return {
+        token: generateToken(user, sessionId),
+        refreshToken: `${sessionId}.${secret}`,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+    };
+};
+
+// Redeem a refresh token. Returns null if it is invalid, expired or revoked.
+// Replaying an already-rotated token revokes the whole session; the previous
+// token is still honoured for a few seconds so parallel requests don't trip that.
+const refreshSession = (refreshToken) => {
+    if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) {
+        return null;
+    }
+
+    const [sessionId, secret] = refreshToken.split('.');
+    const session = sessionOps.findActiveById(sessionId);
+
+    if (!session) {
+        return null;
+    }
+
+    const user = userOps.findById(session.userId);
+    if (!user) {
+        sessionOps.revoke(sessionId);
+        return null;
+    }
+
+    const secretHash = hashRefreshSecret(secret || '');
+
+    if (secretHash === session.refreshTokenHash) {
+        const newSecret = crypto.randomBytes(32).toString('base64url');
+        sessionOps.rotate(sessionId, hashRefreshSecret(newSecret), REFRESH_TOKEN_TTL_DAYS);
+        return {
+            user,
+            sessionId,
+            token: generateToken(user, sessionId),
+            refreshToken: `${sessionId}.${newSecret}`,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        };
+    }
+
+    if (secretHash === session.previousRefreshTokenHash && session.recentlyRotated) {
+        return {
+            user,
+            sessionId,
+            token: generateToken(user, sessionId),
+            refreshToken: null,
+            expiresIn: ACCESS_TOKEN_TTL_SECONDS
+        };
+    }
+
+    console.warn(`Refresh token reuse detected; revoking session ${sessionId} for user ${session.userId}`);
+    sessionOps.revoke(sessionId);
+    return null;
+};
+
+// Set HTTP-only cookies for browser sessions
+const setAuthCookies = (res, tokens) => {
+    res.cookie('token', tokens.token, {
+        ...cookieOptions,
+        maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000
+    });
+
+    if (tokens.refreshToken) {
+        res.cookie('refreshToken', tokens.refreshToken, {
+            ...cookieOptions,
+            path: '/api',
+            maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+        });
+        // New session or rotated refresh token: rotate the CSRF token with it
+        issueCsrfCookie(res);
+    }
+};
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token');
+    res.clearCookie(IMPERSONATION_COOKIE);
+    res.clearCookie('refreshToken', { path: '/api' });
+    clearCsrfCookie(res);
+};
+
+function impersonationEnded(message) {
+    const error = new Error(message);
+    error.code = 'IMPERSONATION_ENDED';
+    return error;
+}
+
+/**
+ * Load the target of an impersonation token. It stops working as soon as the
+ * impersonation is ended or expires, the admin loses the permission or signs out
+ * everywhere, or the user's account or sessions change.
+ */
+function authenticateImpersonationToken(decoded) {
+    const impersonation = impersonationOps.findActiveById(decoded.imp);
+    if (!impersonation) {
+        throw impersonationEnded('The impersonation session has ended');
+    }
+
+    const admin = userOps.findById(impersonation.adminId);
+    if (!admin || getAccountStatusError(admin) || !hasPermission(admin, 'users:impersonate') ||
+        decoded.atv !== (admin.tokenVersion || 0)) {
+        throw impersonationEnded('The impersonation session has ended');
+    }
+
+    // Admin accounts can't be impersonated, including ones promoted after it started
+    const user = userOps.findById(impersonation.userId);
+    const statusError = user && getAccountStatusError(user);
+    if (!user || statusError || isStaff(user) || decoded.tv !== (user.tokenVersion || 0)) {
+        throw impersonationEnded(statusError ? `The impersonation session has ended: ${statusError.error}` : 'The impersonation session has ended');
+    }
+
+    return {
+        user,
+        sessionId: null,
+        impersonation: { id: impersonation.id, admin, reason: impersonation.reason, expiresAt: impersonation.expiresAt }
+    };
+}
+
+// Decode an access token and load its user; throws if the session was revoked
+function authenticateAccessToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.aud === IMPERSONATION_AUDIENCE) {
+        return authenticateImpersonationToken(decoded);
+    }
+
+    const user = userOps.findById(decoded.userId);
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.code = 'USER_NOT_FOUND';
+        throw error;
+    }
+
+    // Checked before the session so suspended users see why, not just a revoked session
+    const statusError = getAccountStatusError(user);
+    if (statusError) {
+        const error = new Error(statusError.error);
+        error.code = statusError.code;
+        throw error;
+    }
+
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0) || !decoded.sid || !sessionOps.findActiveById(decoded.sid)) {
+        const error = new Error('Session has been revoked');
+        error.code = 'SESSION_REVOKED';
+        throw error;
+    }
+
+    return { user, sessionId: decoded.sid };
+}
+
+const hashPersonalAccessToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Returns { token, prefix }; the raw token is shown to the user once
+const generatePersonalAccessToken = () => {
+    const token = `${PAT_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { token, prefix: token.slice(0, PAT_PREFIX.length + 6) };
+};
+
+// Authenticate a personal access token against the scope the route allows
+function authenticatePersonalAccessToken(req, res, next, token) {
+    const pat = patOps.findActiveByHash(hashPersonalAccessToken(token));
+    const user = pat ? userOps.findById(pat.userId) : null;
+
+    if (!pat || !user) {
+        return res.status(401).json({ error: 'Invalid or expired access token', code: 'INVALID_TOKEN' });
+    }
+
+    if (!req.allowedTokenScope || !pat.scopes.includes(req.allowedTokenScope)) {
+        return res.status(403).json({
+            error: req.allowedTokenScope
+                ? `This access token is missing the ${req.allowedTokenScope} scope`
+                : 'Access tokens cannot be used for this endpoint',
+            code: 'INSUFFICIENT_SCOPE'
+        });
+    }
+
+    const statusError = getAccountStatusError(user);
+    if (statusError) {
+        return res.status(403).json(statusError);
+    }
+
+    // Tokens stop working while the account is not approved
+    if (!user.isApproved) {
+        return res.status(403).json({ error: 'Account not approved' });
+    }
+
+    patOps.touch(pat.id, req.ip);
+    req.user = user;
+    req.accessToken = { id: pat.id, scopes: pat.scopes };
+    next();
+}
+
+/**
+ * Let personal access tokens with this scope through the verifyToken that follows.
+ * Routes without it accept browser/editor sessions only.
+ */
+const allowScope = (scope) => (req, res, next) => {
+    req.allowedTokenScope = scope;
+    next();
+};
+
+// Verify JWT token from cookie or Authorization header (or a personal access token)
 const verifyToken = (req, res, next) => {
-    const token = req.cookies?.token || req.headers.authorization?.split(' ')[1];
+    const bearerToken = req.headers.authorization?.split(' ')[1];
+    if (bearerToken?.startsWith(PAT_PREFIX)) {
+        return authenticatePersonalAccessToken(req, res, next, bearerToken);
+    }
 
-    if (!token) {
+    // An impersonation cookie takes precedence over the admin's own session. With an
+    // Authorization header only the bearer token counts: cookies skip the CSRF check then
+    const cookies = getAuthCookies(req);
+    const impersonationToken = cookies[IMPERSONATION_COOKIE];
+    const cookieToken = impersonationToken || cookies.token;
+    const token = cookieToken || bearerToken;
+    const cookieRefreshToken = cookies.refreshToken;
+
+    if (!token && !cookieRefreshToken) {
         return res.status(401).json({ error: 'No token provided' });
     }
 
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = userOps.findById(decoded.userId);
+    const csrfFailure = checkCsrf(req);
+    if (csrfFailure) {
+        return sendCsrfFailure(res, csrfFailure);
+    }
+
+    // Sessions started before CSRF tokens existed get one on their next page load
+    if (cookieToken && !req.cookies[CSRF_COOKIE]) {
+        issueCsrfCookie(res);
+    }
+
+    let failure = { error: 'Invalid token', code: 'INVALID_TOKEN' };
 
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
+    if (token) {
+        try {
+            ({ user: req.user, sessionId: req.sessionId, impersonation: req.impersonation } = authenticateAccessToken(token));
+            if (req.impersonation) {
+                recordImpersonatedRequest(req, res);
+            }
+            return next();
+        } catch (error) {
+            // Never fall back to the admin's own session for a request meant to run as someone else
+            if (impersonationToken) {
+                res.clearCookie(IMPERSONATION_COOKIE);
+                return res.status(401).json({
+                    error: error.code === 'IMPERSONATION_ENDED' ? error.message : 'The impersonation session has ended',
+                    code: 'IMPERSONATION_ENDED'
+                });
+            }
+            if (error.code === 'IMPERSONATION_ENDED') {
+                failure = { error: error.message, code: error.code };
+            } else if (error.name === 'TokenExpiredError') {
+                failure = { error: 'Token expired', code: 'TOKEN_EXPIRED' };
+            } else if (error.code === 'USER_NOT_FOUND') {
+                failure = { error: 'User not found', code: error.code };
+            } else if (error.code === 'SESSION_REVOKED') {
+                failure = { error: 'Session has been revoked', code: error.code };
+            } else if (error.code?.startsWith('ACCOUNT_')) {
+                return res.status(403).json({ error: error.message, code: error.code });
+            }
         }
+    }
 
-        req.user = user;
-        next();
-    } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
+    // Browser sessions refresh transparently using the refresh cookie
+    if (cookieRefreshToken && (cookieToken || !token)) {
+        const refreshed = refreshSession(cookieRefreshToken);
+        const statusError = refreshed && getAccountStatusError(refreshed.user);
+        if (statusError) {
+            return res.status(403).json(statusError);
+        }
+        if (refreshed) {
+            setAuthCookies(res, refreshed);
+            req.user = refreshed.user;
+            req.sessionId = refreshed.sessionId;
+            return next();
+        }
+        clearAuthCookies(res);
+    }
+
+    return res.status(401).json(failure);
+};
+
+// Every request made while impersonating is audited against both the admin and the user
+function recordImpersonatedRequest(req, res) {
+    res.on('finish', () => {
+        try {
+            recordAudit(req, 'impersonated_request', {
+                target: { type: 'user', id: req.user.id, label: req.user.email },
+                after: {
+                    impersonationId: req.impersonation.id,
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode
+                }
+            });
+        } catch (error) {
+            console.error('Impersonation audit error:', error);
+        }
+    });
+}
+
+// Impersonation is for seeing what a user sees: credentials, keys and sessions can't be changed
+const denyImpersonation = (req, res, next) => {
+    if (req.impersonation) {
+        return res.status(403).json({ error: 'This action is not available while impersonating a user', code: 'IMPERSONATION_FORBIDDEN' });
+    }
+    next();
+};
+
+// True when the user holds admin permissions and must enrol in 2FA before using them
+const isTwoFactorSetupRequired = (user) => {
+    return isStaff(user) &&
+        !user.totpEnabled &&
+        settingsOps.get('requireAdminTwoFactor') === '1';
+};
+
+const sendPermissionDenied = (res, permission) => {
+    return res.status(403).json({ error: `Your role does not have the ${permission} permission`, code: 'PERMISSION_DENIED' });
+};
+
+const sendTwoFactorRequired = (res) => {
+    return res.status(403).json({ error: 'Two-factor authentication is required for admin accounts', code: 'TWO_FACTOR_REQUIRED' });
+};
+
+// Require a permission granted by the user's role (see utils/permissions)
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return sendPermissionDenied(res, permission);
     }
+    if (isTwoFactorSetupRequired(req.user)) {
+        return sendTwoFactorRequired(res);
+    }
+    next();
 };
 
-// Require admin role
-const requireAdmin = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
+/**
+ * Require a permission, or being a group admin. Sets req.managedGroupIds to the
+ * groups the caller may act on: null with the permission (every group),
+ * otherwise the groups they administer.
+ */
+const requireGroupManager = (permission) => (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+        return requirePermission(permission)(req, res, () => {
+            req.managedGroupIds = null;
+            next();
+        });
+    }
+
+    const managedGroupIds = groupOps.getManagedGroupIds(req.user.id);
+    if (managedGroupIds.length === 0) {
+        return sendPermissionDenied(res, permission);
     }
+
+    req.managedGroupIds = managedGroupIds;
     next();
 };
 
+/**
+ * Whether the caller may act on this user. Accounts holding admin permissions can
+ * only be managed by someone who can assign roles; group admins (after
+ * requireGroupManager) only manage members of their own groups.
+ */
+const canManageUser = (req, user) => {
+    if (!user) return false;
+    if (isStaff(user) && !hasPermission(req.user, 'roles:assign')) return false;
+    if (!req.managedGroupIds) return true;
+    return groupOps.getGroupIdsForUser(user.id).some(id => req.managedGroupIds.includes(id));
+};
+
 // Require approved status
 const requireApproved = (req, res, next) => {
     if (!req.user.isApproved) {
@@ -42,9 +510,37 @@ const requireApproved = (req, res, next) => {
     next();
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// Revoke every session and outstanding access token for a user
+const revokeAllSessions = (userId) => {
+    sessionOps.revokeAllForUser(userId);
+    userOps.bumpTokenVersion(userId);
 };
 
-module.exports = { verifyToken, requireAdmin, requireApproved, generateToken };
+module.exports = {
+    verifyToken,
+    allowScope,
+    PAT_SCOPES,
+    generatePersonalAccessToken,
+    hashPersonalAccessToken,
+    requirePermission,
+    requireGroupManager,
+    canManageUser,
+    requireApproved,
+    generateToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    generateOidcStateToken,
+    verifyOidcStateToken,
+    isTwoFactorSetupRequired,
+    createSession,
+    refreshSession,
+    revokeAllSessions,
+    setAuthCookies,
+    clearAuthCookies,
+    IMPERSONATION_COOKIE,
+    MAX_IMPERSONATION_MINUTES,
+    startImpersonation,
+    readImpersonationId,
+    setImpersonationCookie,
+    denyImpersonation
+};
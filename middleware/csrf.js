@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+/**
+ * CSRF protection for cookie-authenticated requests (double-submit cookie).
+ * The csrfToken cookie is readable by the portal's pages, which echo it in the
+ * X-CSRF-Token header on state-changing requests; another site can neither read
+ * the cookie nor set the header. Requests carrying an Authorization header
+ * (the editor extension, personal access tokens) are exempt, and authenticate
+ * with that header alone: their auth cookies are never read.
+ */
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const csrfCookieOptions = {
+    httpOnly: false,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+};
+
+function issueCsrfCookie(res) {
+    res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('base64url'), csrfCookieOptions);
+}
+
+function clearCsrfCookie(res) {
+    res.clearCookie(CSRF_COOKIE);
+}
+
+// The cookies a request may authenticate with; none when it has an Authorization header
+function getAuthCookies(req) {
+    return req.headers.authorization ? {} : (req.cookies || {});
+}
+
+function isCookieAuthenticated(req) {
+    const cookies = getAuthCookies(req);
+    return Boolean(cookies.token || cookies.refreshToken || cookies.impersonationToken);
+}
+
+// Hosts the portal is served from: the request's own host, plus PORTAL_URL if set
+function getAllowedHosts(req) {
+    const hosts = [req.get('host')];
+    if (process.env.PORTAL_URL) {
+        try {
+            hosts.push(new URL(process.env.PORTAL_URL).host);
+        } catch (e) { /* ignore malformed PORTAL_URL */ }
+    }
+    return hosts;
+}
+
+// 'same' / 'cross' from Origin (or Referer as a fallback), or null if the browser sent neither
+function getRequestOrigin(req) {
+    const source = req.get('origin') || req.get('referer');
+    if (!source) {
+        return null;
+    }
+    // An opaque "null" origin fails to parse and counts as cross-site
+    try {
+        return getAllowedHosts(req).includes(new URL(source).host) ? 'same' : 'cross';
+    } catch (e) {
+        return 'cross';
+    }
+}
+
+function tokensMatch(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.length > 0 &&
+        a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Returns a failure message for a cookie-authenticated unsafe request that fails CSRF checks, else null
+function checkCsrf(req) {
+    if (SAFE_METHODS.includes(req.method) || !isCookieAuthenticated(req)) {
+        return null;
+    }
+
+    if (getRequestOrigin(req) !== 'same') {
+        return 'Cross-origin request blocked';
+    }
+
+    if (!tokensMatch(req.get(CSRF_HEADER), req.cookies?.[CSRF_COOKIE])) {
+        return 'Invalid or missing CSRF token';
+    }
+
+    return null;
+}
+
+const sendCsrfFailure = (res, message) => {
+    return res.status(403).json({ error: message, code: 'CSRF_INVALID' });
+};
+
+// For routes that read auth cookies directly instead of going through verifyToken
+const csrfProtection = (req, res, next) => {
+    const failure = checkCsrf(req);
+    if (failure) {
+        return sendCsrfFailure(res, failure);
+    }
+    next();
+};
+
+/**
+ * Reject state-changing API requests that a browser marks as coming from another site.
+ * Covers unauthenticated endpoints too (e.g. login CSRF on /signin).
+ */
+const verifyOrigin = (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || req.headers.authorization) {
+        return next();
+    }
+    if (getRequestOrigin(req) === 'cross') {
+        return sendCsrfFailure(res, 'Cross-origin request blocked');
+    }
+    next();
+};
+
+module.exports = {
+    CSRF_COOKIE,
+    getAuthCookies,
+    issueCsrfCookie,
+    clearCsrfCookie,
+    checkCsrf,
+    sendCsrfFailure,
+    csrfProtection,
+    verifyOrigin
+};
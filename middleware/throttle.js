@@ -0,0 +1,125 @@
+const { userOps, settingsOps, authAttemptOps, securityEventOps } = require('../models/database');
+
+// Defaults for the brute-force limits; each can be overridden through settingsOps
+const THROTTLE_DEFAULTS = {
+    maxFailedAttempts: 5,       // failed signins before an account locks
+    lockoutMinutes: 15,         // how long a locked account stays locked
+    windowMinutes: 15,          // sliding window for all counters
+    maxFailuresPerIp: 20,       // failed signins per IP within the window
+    maxSignupsPerIp: 5,         // signups (and reset requests) per IP within the window
+    progressiveDelayMs: 500     // first delay after a failure; doubles per failure
+};
+
+const MAX_PROGRESSIVE_DELAY_MS = 8000;
+
+function getThrottleSettings() {
+    return Object.fromEntries(Object.entries(THROTTLE_DEFAULTS).map(([key, fallback]) => {
+        const value = parseInt(settingsOps.get(`throttle.${key}`));
+        return [key, Number.isFinite(value) && value >= 0 ? value : fallback];
+    }));
+}
+
+function setThrottleSettings(values) {
+    for (const key of Object.keys(THROTTLE_DEFAULTS)) {
+        if (values[key] === undefined) continue;
+        const value = parseInt(values[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid value for ${key}`);
+        }
+        settingsOps.set(`throttle.${key}`, String(value));
+    }
+}
+
+function sendTooManyRequests(res, windowMinutes) {
+    res.set('Retry-After', String(windowMinutes * 60));
+    return res.status(429).json({ error: 'Too many attempts. Please try again later.', code: 'RATE_LIMITED' });
+}
+
+/**
+ * Per-IP sliding-window limit for an auth endpoint.
+ * kind 'signin' counts failures only; other kinds count every request.
+ */
+const throttleByIp = (kind) => (req, res, next) => {
+    try {
+        const settings = getThrottleSettings();
+        const limit = kind === 'signin' ? settings.maxFailuresPerIp : settings.maxSignupsPerIp;
+
+        if (limit > 0 && authAttemptOps.countRecentForIp(kind, req.ip, settings.windowMinutes, kind === 'signin') >= limit) {
+            securityEventOps.record('ip_throttled', { ipAddress: req.ip, details: kind });
+            return sendTooManyRequests(res, settings.windowMinutes);
+        }
+
+        // Signin outcomes are recorded by the route once the result is known
+        if (kind !== 'signin') {
+            authAttemptOps.record(kind, req.body?.email || null, req.ip, true);
+        }
+
+        next();
+    } catch (error) {
+        console.error('Throttle error:', error);
+        next();
+    }
+};
+
+// Returns the lock expiry if the account is currently locked
+function getAccountLock(user) {
+    return user ? userOps.isLocked(user.id) : null;
+}
+
+// Wait longer after each consecutive failure for the account
+async function applyProgressiveDelay(email) {
+    const settings = getThrottleSettings();
+    const failures = authAttemptOps.countRecentFailuresForEmail(email, settings.windowMinutes);
+
+    if (failures > 0 && settings.progressiveDelayMs > 0) {
+        const delay = Math.min(settings.progressiveDelayMs * 2 ** (failures - 1), MAX_PROGRESSIVE_DELAY_MS);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+// Record a failed signin; locks the account once it crosses the limit
+function recordFailedSignin(email, user, req) {
+    const settings = getThrottleSettings();
+    authAttemptOps.record('signin', email, req.ip, false);
+
+    if (!user || settings.maxFailedAttempts === 0) return;
+
+    const failures = authAttemptOps.countRecentFailuresForEmail(email, settings.windowMinutes);
+    if (failures >= settings.maxFailedAttempts) {
+        userOps.lock(user.id, settings.lockoutMinutes);
+        securityEventOps.record('account_locked', {
+            userId: user.id,
+            email: user.email,
+            ipAddress: req.ip,
+            details: `${failures} failed attempts; locked for ${settings.lockoutMinutes} minutes`
+        });
+        console.warn(`Account locked after ${failures} failed signins: ${user.email}`);
+    }
+}
+
+function recordSuccessfulSignin(email, req) {
+    authAttemptOps.record('signin', email, req.ip, true);
+}
+
+// Clear an account lock and its failure history
+function unlockAccount(user, actor, req) {
+    userOps.unlock(user.id);
+    authAttemptOps.clearFailuresForEmail(user.email);
+    securityEventOps.record('account_unlocked', {
+        userId: user.id,
+        email: user.email,
+        ipAddress: req.ip,
+        details: actor ? `Unlocked by ${actor.email}` : null
+    });
+}
+
+module.exports = {
+    getThrottleSettings,
+    setThrottleSettings,
+    throttleByIp,
+    getAccountLock,
+    applyProgressiveDelay,
+    recordFailedSignin,
+    recordSuccessfulSignin,
+    unlockAccount
+};
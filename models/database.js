@@ -2,6 +2,7 @@ const initSqlJs = require('sql.js');
 const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
+const { encryptSecret, decryptSecret, needsReencryption, reencryptSecret, verifySecret } = require('../utils/secrets');
 
 // Determine data directory - use /home/data in Azure, ./data locally
 const isAzure = process.env.WEBSITE_SITE_NAME !== undefined;
@@ -37,7 +38,7 @@ async function initDatabase() {
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             email TEXT UNIQUE NOT NULL,
             password TEXT NOT NULL,
-            role TEXT DEFAULT 'user' CHECK(role IN ('user', 'admin')),
+            role TEXT DEFAULT 'user',
             isApproved INTEGER DEFAULT 0,
             apiKey TEXT,
             azureResourceName TEXT,
@@ -57,116 +58,1730 @@ async function initDatabase() {
     try {
         db.run(`ALTER TABLE users ADD COLUMN azureApiVersion TEXT`);
     } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN tokenVersion INTEGER DEFAULT 0`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN totpSecret TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN totpEnabled INTEGER DEFAULT 0`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN totpLastUsedStep INTEGER`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN totpRecoveryCodes TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN mustChangePassword INTEGER DEFAULT 0`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN lockedUntil TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN oidcSubject TEXT`);
+    } catch (e) { /* column already exists */ }
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users (oidcSubject)`);
+    // Set by an admin to let a staff account be linked on its next SSO sign-in
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN oidcLinkAllowed INTEGER DEFAULT 0`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN approvalReason TEXT`);
+    } catch (e) { /* column already exists */ }
+    // Account lifecycle: pending, active, suspended, expired or deleted (see utils/accountStatus).
+    // isApproved is kept in step with it (1 only while active).
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN status TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN statusReason TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN statusChangedAt TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN accessEndDate TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN deletedAt TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN statusBeforeDelete TEXT`);
+    } catch (e) { /* column already exists */ }
+    db.run(`UPDATE users SET status = CASE WHEN isApproved = 1 THEN 'active' ELSE 'pending' END WHERE status IS NULL`);
+    // Self-service profile settings; notificationPreferences is JSON (see utils/notifications)
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN displayName TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN notificationPreferences TEXT`);
+    } catch (e) { /* column already exists */ }
+
+    db.run(`
+        CREATE TABLE IF NOT EXISTS settings (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        )
+    `);
+
+    // LLM Logging tables
+    db.run(`
+        CREATE TABLE IF NOT EXISTS llm_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            threadId TEXT UNIQUE NOT NULL,
+            assistantId TEXT NOT NULL,
+            userId INTEGER NOT NULL,
+            userEmail TEXT NOT NULL,
+            startedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            lastActivityAt TEXT,
+            status TEXT DEFAULT 'active' CHECK(status IN ('active', 'completed', 'error', 'expired')),
+            errorMessage TEXT,
+            totalRequests INTEGER DEFAULT 0,
+            totalInputTokens INTEGER DEFAULT 0,
+            totalOutputTokens INTEGER DEFAULT 0,
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+
+    db.run(`
+        CREATE TABLE IF NOT EXISTS llm_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sessionId INTEGER NOT NULL,
+            requestType TEXT NOT NULL CHECK(requestType IN ('chat', 'tool_output')),
+            timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
+            inputTokens INTEGER DEFAULT 0,
+            outputTokens INTEGER DEFAULT 0,
+            toolCallCount INTEGER DEFAULT 0,
+            status TEXT DEFAULT 'success' CHECK(status IN ('success', 'error')),
+            errorMessage TEXT,
+            FOREIGN KEY (sessionId) REFERENCES llm_sessions(id)
+        )
+    `);
+    // The connection an assistant session was created on, so it can be resumed after a restart
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN profileId INTEGER`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN resourceName TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN deploymentName TEXT`);
+    } catch (e) { /* column already exists */ }
+    // Set once a finished session's Azure assistant and thread have been deleted
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN cleanedUpAt TEXT`);
+        // Sessions that ended before this column existed can't be traced to a resource
+        db.run(`UPDATE llm_sessions SET cleanedUpAt = datetime('now') WHERE status = 'completed'`);
+    } catch (e) { /* column already exists */ }
+
+    // Assistants shared by every session with the same deployment and instructions.
+    // toolsVersion is a hash of the tool definitions the assistant was last given
+    db.run(`
+        CREATE TABLE IF NOT EXISTS llm_assistants (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            assistantId TEXT UNIQUE NOT NULL,
+            resourceName TEXT NOT NULL,
+            deploymentName TEXT NOT NULL,
+            instructionsHash TEXT NOT NULL,
+            toolsVersion TEXT NOT NULL,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            lastUsedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (resourceName, deploymentName, instructionsHash)
+        )
+    `);
+
+    // Versions of the tool definitions assistants run with. A version's tools never change;
+    // retired versions are refused for new sessions. The current version is in settings
+    db.run(`
+        CREATE TABLE IF NOT EXISTS tool_sets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            version TEXT UNIQUE NOT NULL,
+            tools TEXT NOT NULL,
+            notes TEXT,
+            createdBy INTEGER,
+            createdByEmail TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            retiredAt TEXT
+        )
+    `);
+    // The tool set version the extension declared; its tools are sent with every run of the session
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN toolSetVersion TEXT`);
+    } catch (e) { /* column already exists */ }
+
+    // Agent modes the extension can pick for a session. Changing a mode's instructions,
+    // tools, model or temperature adds a version; sessions keep the version they started on
+    db.run(`
+        CREATE TABLE IF NOT EXISTS agent_modes (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            description TEXT,
+            currentVersion INTEGER NOT NULL DEFAULT 1,
+            enabled INTEGER DEFAULT 1,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    // allowedTools is a JSON list of tool names, or NULL for every tool; model is a deployment name
+    db.run(`
+        CREATE TABLE IF NOT EXISTS agent_mode_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            modeId TEXT NOT NULL,
+            version INTEGER NOT NULL,
+            instructions TEXT NOT NULL,
+            allowedTools TEXT,
+            model TEXT,
+            temperature REAL,
+            createdBy INTEGER,
+            createdByEmail TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (modeId, version),
+            FOREIGN KEY (modeId) REFERENCES agent_modes(id)
+        )
+    `);
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN modeId TEXT`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE llm_sessions ADD COLUMN modeVersion INTEGER`);
+    } catch (e) { /* column already exists */ }
+
+    // Sign-in sessions backing refresh tokens (one row per browser/extension login)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS auth_sessions (
+            id TEXT PRIMARY KEY,
+            userId INTEGER NOT NULL,
+            refreshTokenHash TEXT NOT NULL,
+            previousRefreshTokenHash TEXT,
+            rotatedAt TEXT,
+            userAgent TEXT,
+            ipAddress TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            lastUsedAt TEXT,
+            expiresAt TEXT NOT NULL,
+            revokedAt TEXT,
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+
+    // Time-boxed "view as user" sessions started by an admin (see middleware/auth)
+    db.run(`
+        CREATE TABLE IF NOT EXISTS impersonation_sessions (
+            id TEXT PRIMARY KEY,
+            adminId INTEGER NOT NULL,
+            userId INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            ipAddress TEXT,
+            startedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            expiresAt TEXT NOT NULL,
+            endedAt TEXT,
+            FOREIGN KEY (adminId) REFERENCES users(id),
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+
+    // Single-use password reset tokens
+    db.run(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+            tokenHash TEXT PRIMARY KEY,
+            userId INTEGER NOT NULL,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            expiresAt TEXT NOT NULL,
+            usedAt TEXT,
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+
+    // Signin/signup attempts for sliding-window throttling
+    db.run(`
+        CREATE TABLE IF NOT EXISTS auth_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL,
+            email TEXT,
+            ipAddress TEXT,
+            success INTEGER DEFAULT 0,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_auth_attempts_email ON auth_attempts (email, createdAt)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts (ipAddress, createdAt)`);
+
+    // Security events such as account lockouts
+    db.run(`
+        CREATE TABLE IF NOT EXISTS security_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            userId INTEGER,
+            email TEXT,
+            ipAddress TEXT,
+            details TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // One-time authorization codes for the editor (VS Code) login flow
+    db.run(`
+        CREATE TABLE IF NOT EXISTS editor_auth_codes (
+            codeHash TEXT PRIMARY KEY,
+            userId INTEGER NOT NULL,
+            codeChallenge TEXT NOT NULL,
+            codeChallengeMethod TEXT DEFAULT 'S256',
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            expiresAt TEXT NOT NULL,
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+
+    // Admin-issued signup invites; maxUses NULL means unlimited
+    db.run(`
+        CREATE TABLE IF NOT EXISTS invites (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            tokenHash TEXT UNIQUE NOT NULL,
+            email TEXT,
+            note TEXT,
+            maxUses INTEGER DEFAULT 1,
+            useCount INTEGER DEFAULT 0,
+            apiKey TEXT,
+            azureResourceName TEXT,
+            azureDeployment TEXT,
+            azureApiVersion TEXT,
+            createdBy INTEGER,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            expiresAt TEXT,
+            revokedAt TEXT,
+            FOREIGN KEY (createdBy) REFERENCES users(id)
+        )
+    `);
+
+    // Personal access tokens for scripts and CI; only the hash is stored
+    db.run(`
+        CREATE TABLE IF NOT EXISTS personal_access_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            tokenHash TEXT UNIQUE NOT NULL,
+            tokenPrefix TEXT NOT NULL,
+            scopes TEXT NOT NULL,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            expiresAt TEXT NOT NULL,
+            lastUsedAt TEXT,
+            lastUsedIp TEXT,
+            revokedAt TEXT,
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+
+    // Named Azure OpenAI connections shared by many users; apiKey is encrypted
+    db.run(`
+        CREATE TABLE IF NOT EXISTS connection_profiles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            apiKey TEXT NOT NULL,
+            resourceName TEXT,
+            deployment TEXT,
+            apiVersion TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            keyRotatedAt TEXT
+        )
+    `);
+    try {
+        db.run(`ALTER TABLE users ADD COLUMN connectionProfileId INTEGER REFERENCES connection_profiles(id)`);
+    } catch (e) { /* column already exists */ }
+    try {
+        db.run(`ALTER TABLE invites ADD COLUMN connectionProfileId INTEGER REFERENCES connection_profiles(id)`);
+    } catch (e) { /* column already exists */ }
+
+    // Teams; a group's connection profile applies to members without their own
+    db.run(`
+        CREATE TABLE IF NOT EXISTS user_groups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT,
+            connectionProfileId INTEGER,
+            monthlyTokenQuota INTEGER,
+            monthlyRequestQuota INTEGER,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (connectionProfileId) REFERENCES connection_profiles(id)
+        )
+    `);
+
+    // Group membership; group admins can approve and manage the group's members
+    db.run(`
+        CREATE TABLE IF NOT EXISTS user_group_members (
+            groupId INTEGER NOT NULL,
+            userId INTEGER NOT NULL,
+            isGroupAdmin INTEGER DEFAULT 0,
+            addedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (groupId, userId),
+            FOREIGN KEY (groupId) REFERENCES user_groups(id),
+            FOREIGN KEY (userId) REFERENCES users(id)
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_user_group_members_user ON user_group_members (userId)`);
+    try {
+        db.run(`ALTER TABLE invites ADD COLUMN groupId INTEGER REFERENCES user_groups(id)`);
+    } catch (e) { /* column already exists */ }
+
+    // Append-only trail of privileged actions; before/after are JSON with secrets redacted
+    db.run(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actorId INTEGER,
+            actorEmail TEXT,
+            action TEXT NOT NULL,
+            targetType TEXT,
+            targetId TEXT,
+            targetLabel TEXT,
+            beforeValue TEXT,
+            afterValue TEXT,
+            ipAddress TEXT,
+            userAgent TEXT,
+            createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (createdAt)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (targetType, targetId)`);
+    // Entries can be added but never edited or removed
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+    db.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+    `);
+
+    reencryptStoredSecrets();
+    migrateAzureConfigsToProfiles();
+    migrateUserRoles();
+    migrateLlmSessionStatuses();
+
+    // Save database
+    saveDatabase();
+
+    return db;
+}
+
+/**
+ * Migration: users.role used to be limited to 'user' and 'admin' by a CHECK
+ * constraint. Roles are now defined in utils/permissions, so the table is rebuilt
+ * without the constraint and former admins become super admins.
+ */
+function migrateUserRoles() {
+    const createSql = db.exec(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'users'`)[0].values[0][0];
+
+    if (/CHECK\s*\(\s*role IN/i.test(createSql)) {
+        const columnsSql = createSql.slice(createSql.indexOf('(')).replace(/\s*CHECK\s*\(\s*role IN\s*\([^)]*\)\s*\)/i, '');
+        const sequence = db.exec(`SELECT seq FROM sqlite_sequence WHERE name = 'users'`)[0]?.values[0][0] || 0;
+
+        db.run(`CREATE TABLE users_rebuilt ${columnsSql}`);
+        db.run(`INSERT INTO users_rebuilt SELECT * FROM users`);
+        db.run(`DROP TABLE users`);
+        db.run(`ALTER TABLE users_rebuilt RENAME TO users`);
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_subject ON users (oidcSubject)`);
+        // Keep ids of deleted users from being handed out again
+        db.run(`UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'users'`, [sequence]);
+        console.log('Removed the user/admin role constraint from the users table');
+    }
+
+    db.run(`UPDATE users SET role = 'super-admin' WHERE role = 'admin'`);
+    const promoted = db.getRowsModified();
+    if (promoted > 0) {
+        console.log(`Converted ${promoted} admin account(s) to the super-admin role`);
+    }
+}
+
+/**
+ * Migration: llm_sessions.status gained 'expired' for sessions ended after a period
+ * without activity. SQLite can't change a CHECK constraint in place, so the table is
+ * rebuilt with the new list.
+ */
+function migrateLlmSessionStatuses() {
+    const createSql = db.exec(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'llm_sessions'`)[0].values[0][0];
+
+    if (!/CHECK\s*\(\s*status IN\s*\([^)]*'expired'/i.test(createSql)) {
+        const columnsSql = createSql.slice(createSql.indexOf('('))
+            .replace(/CHECK\s*\(\s*status IN\s*\([^)]*\)\s*\)/i, `CHECK(status IN ('active', 'completed', 'error', 'expired'))`);
+        const sequence = db.exec(`SELECT seq FROM sqlite_sequence WHERE name = 'llm_sessions'`)[0]?.values[0][0] || 0;
+
+        db.run(`CREATE TABLE llm_sessions_rebuilt ${columnsSql}`);
+        db.run(`INSERT INTO llm_sessions_rebuilt SELECT * FROM llm_sessions`);
+        db.run(`DROP TABLE llm_sessions`);
+        db.run(`ALTER TABLE llm_sessions_rebuilt RENAME TO llm_sessions`);
+        db.run(`UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'llm_sessions'`, [sequence]);
+        console.log('Added the expired status to the llm_sessions table');
+    }
+}
+
+// Tables and columns holding API keys encrypted with utils/secrets.
+// users.apiKey and invites.apiKey are legacy; migrateAzureConfigsToProfiles() empties them.
+const ENCRYPTED_COLUMNS = [['users', 'apiKey'], ['invites', 'apiKey'], ['connection_profiles', 'apiKey']];
+
+/**
+ * Migration: encrypt API keys stored before encryption was added and re-wrap
+ * those under an older master key. Every stored key is checked against the
+ * configured master keys so a wrong or missing key stops startup here rather
+ * than failing later on a user's request.
+ */
+function reencryptStoredSecrets() {
+    let migrated = 0;
+
+    for (const [table, column] of ENCRYPTED_COLUMNS) {
+        const result = db.exec(`SELECT id, ${column} FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`);
+        const rows = result.length ? result[0].values : [];
+
+        for (const [id, value] of rows) {
+            try {
+                verifySecret(value);
+            } catch (error) {
+                throw new Error(`Cannot read ${table}.${column} for row ${id}: ${error.message}`);
+            }
+            if (needsReencryption(value)) {
+                db.run(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [reencryptSecret(value), id]);
+                migrated++;
+            }
+        }
+    }
+
+    if (migrated > 0) {
+        console.log(`Encrypted ${migrated} stored API key(s) with the current master key`);
+    }
+}
+
+/**
+ * Migration: Azure configs used to be copied onto each user (and invite) row.
+ * Identical configs become one connection profile, the row is pointed at it and
+ * the per-row copy is cleared.
+ */
+function migrateAzureConfigsToProfiles() {
+    const profileIds = new Map();
+    let migrated = 0;
+
+    for (const table of ['users', 'invites']) {
+        const result = db.exec(`
+            SELECT id, apiKey, azureResourceName, azureDeployment, azureApiVersion FROM ${table}
+            WHERE apiKey IS NOT NULL AND apiKey != ''
+        `);
+        const rows = result.length ? result[0].values : [];
+
+        for (const [id, apiKey, resourceName, deployment, apiVersion] of rows) {
+            const config = [decryptSecret(apiKey), resourceName, deployment, apiVersion];
+            const configKey = JSON.stringify(config);
+
+            if (!profileIds.has(configKey)) {
+                const name = uniqueProfileName([resourceName, deployment].filter(Boolean).join('-') || 'migrated');
+                db.run(`
+                    INSERT INTO connection_profiles (name, apiKey, resourceName, deployment, apiVersion)
+                    VALUES (?, ?, ?, ?, ?)
+                `, [name, encryptSecret(config[0]), resourceName, deployment, apiVersion]);
+                profileIds.set(configKey, db.exec(`SELECT last_insert_rowid()`)[0].values[0][0]);
+            }
+
+            db.run(`
+                UPDATE ${table}
+                SET connectionProfileId = ?, apiKey = NULL, azureResourceName = NULL, azureDeployment = NULL, azureApiVersion = NULL
+                WHERE id = ?
+            `, [profileIds.get(configKey), id]);
+            migrated++;
+        }
+    }
+
+    if (migrated > 0) {
+        console.log(`Moved ${migrated} per-user Azure configuration(s) into ${profileIds.size} connection profile(s)`);
+    }
+}
+
+function uniqueProfileName(base) {
+    const slug = base.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+/, '').slice(0, 56) || 'migrated';
+    let name = slug;
+    for (let n = 2; db.exec(`SELECT 1 FROM connection_profiles WHERE name = ?`, [name]).length > 0; n++) {
+        name = `${slug}-${n}`;
+    }
+    return name;
+}
+
+function toProfile(row) {
+    if (row && row.apiKey) {
+        row.apiKey = decryptSecret(row.apiKey);
+    }
+    return row;
+}
+
+// Stored in place of a bcrypt hash for accounts without a password; never matches
+const NO_PASSWORD = '!';
+
+// Save database to file; inside transaction() the save happens once, at commit
+let inTransaction = false;
+
+function saveDatabase() {
+    if (!db || inTransaction) return;
+    const data = db.export();
+    const buffer = Buffer.from(data);
+    fs.writeFileSync(dbPath, buffer);
+}
+
+/**
+ * Run fn so that all of its writes are committed together or, if it throws,
+ * none of them are. Not re-entrant.
+ */
+function transaction(fn) {
+    db.run('BEGIN');
+    inTransaction = true;
+    try {
+        const result = fn();
+        inTransaction = false;
+        db.run('COMMIT');
+        saveDatabase();
+        return result;
+    } catch (error) {
+        inTransaction = false;
+        db.run('ROLLBACK');
+        throw error;
+    }
+}
+
+// User operations
+const userOps = {
+    findByEmail: (email) => {
+        const result = db.exec(`SELECT * FROM users WHERE email = ?`, [email]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    // Case-insensitive lookup, used when linking identities from an external provider
+    findByEmailIgnoreCase: (email) => {
+        const result = db.exec(`SELECT * FROM users WHERE LOWER(email) = LOWER(?)`, [email]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    // oidcSubject is "<issuer>|<sub>" for accounts linked to the SSO provider
+    findByOidcSubject: (subject) => {
+        const result = db.exec(`SELECT * FROM users WHERE oidcSubject = ?`, [subject]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    // Linking uses up an admin's permission to link a staff account
+    linkOidcSubject: (id, subject) => {
+        db.run(`UPDATE users SET oidcSubject = ?, oidcLinkAllowed = 0 WHERE id = ?`, [subject, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    allowOidcLink: (id) => {
+        db.run(`UPDATE users SET oidcLinkAllowed = 1 WHERE id = ?`, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    findById: (id) => {
+        const result = db.exec(`
+            SELECT id, email, displayName, role, isApproved, status, statusReason, accessEndDate, deletedAt, connectionProfileId,
+                   tokenVersion, totpEnabled, mustChangePassword, createdAt
+            FROM users WHERE id = ?
+        `, [parseInt(id)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    // A null password creates an account nobody can sign in to with a password until
+    // one is set through a reset link (imports, SSO); it skips the cost of hashing
+    create: (email, password, { role = 'user', isApproved = 0, approvalReason = null } = {}) => {
+        const hashedPassword = password === null ? NO_PASSWORD : bcrypt.hashSync(password, 10);
+        try {
+            db.run(`
+                INSERT INTO users (email, password, role, isApproved, status, approvalReason) 
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [email, hashedPassword, role, isApproved ? 1 : 0, isApproved ? 'active' : 'pending', approvalReason]);
+
+            // Read the id before saveDatabase(); exporting the database resets last_insert_rowid()
+            const result = db.exec(`SELECT last_insert_rowid() as id`);
+            const id = result[0].values[0][0];
+            saveDatabase();
+            return { id, email, role, isApproved: isApproved ? 1 : 0, status: isApproved ? 'active' : 'pending' };
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return null; // Email already exists
+            }
+            throw error;
+        }
+    },
+
+    // Only active super admins count; suspended, expired and deleted ones cannot sign in
+    countSuperAdmins: () => {
+        const result = db.exec(`SELECT COUNT(*) FROM users WHERE role = 'super-admin' AND status = 'active'`);
+        return result[0]?.values[0]?.[0] || 0;
+    },
+
+    // groupIds limits the list to members of those groups; deleted accounts are only listed with status 'deleted'
+    getAll: ({ groupIds = null, status = null } = {}) => {
+        let query = `
+            SELECT id, email, displayName, role, isApproved, status, statusReason, statusChangedAt, accessEndDate, deletedAt,
+                   totpEnabled, mustChangePassword, oidcSubject IS NOT NULL AS ssoLinked, oidcLinkAllowed,
+                   approvalReason, connectionProfileId,
+                   (SELECT name FROM connection_profiles WHERE id = users.connectionProfileId) as connectionProfileName, createdAt,
+                   (SELECT GROUP_CONCAT(g.name, ', ') FROM user_group_members m JOIN user_groups g ON g.id = m.groupId
+                    WHERE m.userId = users.id) as groupNames
+            FROM users`;
+        const params = [status || 'deleted'];
+        query += status ? ` WHERE status = ?` : ` WHERE status != ?`;
+
+        if (groupIds) {
+            query += ` AND id IN (SELECT userId FROM user_group_members WHERE groupId IN (${groupIds.map(() => '?').join(', ')}))`;
+            params.push(...groupIds.map(id => parseInt(id)));
+        }
+
+        const result = db.exec(`${query} ORDER BY createdAt DESC`, params);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    // Activates a pending, suspended or expired account; an access end date already passed is cleared
+    approve: (id, reason = null) => {
+        db.run(`
+            UPDATE users
+            SET status = 'active', isApproved = 1, approvalReason = ?, statusReason = NULL, statusChangedAt = CURRENT_TIMESTAMP,
+                accessEndDate = CASE WHEN accessEndDate < date('now') THEN NULL ELSE accessEndDate END
+            WHERE id = ?
+        `, [reason, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    suspend: (id, reason) => {
+        db.run(`
+            UPDATE users SET status = 'suspended', isApproved = 0, statusReason = ?, statusChangedAt = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [reason, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // date is the last day of access (YYYY-MM-DD, UTC) or null for no end date
+    setAccessEndDate: (id, date) => {
+        db.run(`UPDATE users SET accessEndDate = ? WHERE id = ?`, [date, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Active and pending accounts whose access end date has passed; returns the accounts expired
+    expireEnded: () => {
+        const result = db.exec(`
+            SELECT id, email, status, accessEndDate FROM users
+            WHERE status IN ('active', 'pending') AND accessEndDate < date('now')
+        `);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        const expired = result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+
+        db.run(`
+            UPDATE users SET status = 'expired', isApproved = 0, statusReason = 'Access end date passed', statusChangedAt = CURRENT_TIMESTAMP
+            WHERE status IN ('active', 'pending') AND accessEndDate < date('now')
+        `);
+        saveDatabase();
+        return expired;
+    },
+
+    // Stored preferences as saved (not merged with defaults), or {} if none
+    getNotificationPreferences: (id) => {
+        const result = db.exec(`SELECT notificationPreferences FROM users WHERE id = ?`, [parseInt(id)]);
+        const value = result[0]?.values[0]?.[0];
+        return value ? JSON.parse(value) : {};
+    },
+
+    // Self-service fields: displayName (null clears it) and notificationPreferences
+    updateProfile: (id, { displayName, notificationPreferences }) => {
+        if (displayName !== undefined) {
+            db.run(`UPDATE users SET displayName = ? WHERE id = ?`, [displayName, parseInt(id)]);
+        }
+        if (notificationPreferences !== undefined) {
+            db.run(`UPDATE users SET notificationPreferences = ? WHERE id = ?`, [JSON.stringify(notificationPreferences), parseInt(id)]);
+        }
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Active accounts with their stored notification preferences, for broadcast notifications
+    getNotificationRecipients: () => {
+        const result = db.exec(`SELECT id, email, notificationPreferences FROM users WHERE status = 'active'`);
+        if (result.length === 0) return [];
+        return result[0].values.map(([id, email, preferences]) => ({
+            id,
+            email,
+            notificationPreferences: preferences ? JSON.parse(preferences) : {}
+        }));
+    },
+
+    // Callers validate the role against utils/permissions
+    setRole: (id, role) => {
+        db.run(`UPDATE users SET role = ? WHERE id = ?`, [role, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // profileId null unassigns the user's Azure connection
+    setConnectionProfile: (id, profileId) => {
+        db.run(`UPDATE users SET connectionProfileId = ? WHERE id = ?`, [profileId ? parseInt(profileId) : null, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Two-factor state is kept out of findById so secrets never reach req.user
+    getTwoFactor: (id) => {
+        const result = db.exec(`SELECT totpSecret, totpEnabled, totpLastUsedStep, totpRecoveryCodes FROM users WHERE id = ?`, [parseInt(id)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const [totpSecret, totpEnabled, totpLastUsedStep, totpRecoveryCodes] = result[0].values[0];
+        return {
+            secret: totpSecret,
+            enabled: Boolean(totpEnabled),
+            lastUsedStep: totpLastUsedStep,
+            recoveryCodes: totpRecoveryCodes ? JSON.parse(totpRecoveryCodes) : []
+        };
+    },
+
+    // Store a secret that is not active until enableTwoFactor confirms it
+    setPendingTotpSecret: (id, secret) => {
+        db.run(`UPDATE users SET totpSecret = ?, totpEnabled = 0, totpLastUsedStep = NULL, totpRecoveryCodes = NULL WHERE id = ?`,
+            [secret, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    enableTwoFactor: (id, recoveryCodeHashes, lastUsedStep) => {
+        db.run(`UPDATE users SET totpEnabled = 1, totpRecoveryCodes = ?, totpLastUsedStep = ? WHERE id = ?`,
+            [JSON.stringify(recoveryCodeHashes), lastUsedStep, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    disableTwoFactor: (id) => {
+        db.run(`UPDATE users SET totpSecret = NULL, totpEnabled = 0, totpLastUsedStep = NULL, totpRecoveryCodes = NULL WHERE id = ?`,
+            [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    setTotpLastUsedStep: (id, step) => {
+        db.run(`UPDATE users SET totpLastUsedStep = ? WHERE id = ?`, [step, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    setRecoveryCodes: (id, recoveryCodeHashes) => {
+        db.run(`UPDATE users SET totpRecoveryCodes = ? WHERE id = ?`, [JSON.stringify(recoveryCodeHashes), parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Invalidates every access token issued to the user so far
+    bumpTokenVersion: (id) => {
+        db.run(`UPDATE users SET tokenVersion = COALESCE(tokenVersion, 0) + 1 WHERE id = ?`, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Setting a new password also clears any admin-forced reset
+    updatePassword: (id, password) => {
+        const hashedPassword = bcrypt.hashSync(password, 10);
+        db.run(`UPDATE users SET password = ?, mustChangePassword = 0 WHERE id = ?`, [hashedPassword, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    setMustChangePassword: (id, value) => {
+        db.run(`UPDATE users SET mustChangePassword = ? WHERE id = ?`, [value ? 1 : 0, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    lock: (id, minutes) => {
+        db.run(`UPDATE users SET lockedUntil = datetime('now', ?) WHERE id = ?`, [`+${parseInt(minutes)} minutes`, parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    unlock: (id) => {
+        db.run(`UPDATE users SET lockedUntil = NULL WHERE id = ?`, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    isLocked: (id) => {
+        const result = db.exec(`SELECT lockedUntil FROM users WHERE id = ? AND lockedUntil > datetime('now')`, [parseInt(id)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        return result[0].values[0][0];
+    },
+
+    getLocked: () => {
+        const result = db.exec(`SELECT id, email, role, lockedUntil FROM users WHERE lockedUntil > datetime('now') ORDER BY lockedUntil DESC`);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    /**
+     * Soft delete: the row stays so LLM usage and audit entries remain attributable,
+     * and restore() can bring the account back. Its credentials are removed.
+     */
+    softDelete: (id) => {
+        db.run(`DELETE FROM personal_access_tokens WHERE userId = ?`, [parseInt(id)]);
+        db.run(`DELETE FROM password_reset_tokens WHERE userId = ?`, [parseInt(id)]);
+        db.run(`DELETE FROM auth_sessions WHERE userId = ?`, [parseInt(id)]);
+        db.run(`
+            UPDATE users
+            SET statusBeforeDelete = status, status = 'deleted', isApproved = 0, deletedAt = CURRENT_TIMESTAMP,
+                statusChangedAt = CURRENT_TIMESTAMP, tokenVersion = COALESCE(tokenVersion, 0) + 1
+            WHERE id = ?
+        `, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Undo softDelete(), returning the account to the state it was deleted in
+    restore: (id) => {
+        db.run(`
+            UPDATE users
+            SET status = COALESCE(statusBeforeDelete, 'pending'), isApproved = COALESCE(statusBeforeDelete, 'pending') = 'active',
+                deletedAt = NULL, statusBeforeDelete = NULL, statusChangedAt = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'deleted'
+        `, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    verifyPassword: (user, password) => {
+        if (!user.password || user.password === NO_PASSWORD) return false;
+        return bcrypt.compareSync(password, user.password);
+    }
+};
+
+// Settings operations
+const settingsOps = {
+    get: (key) => {
+        const result = db.exec(`SELECT value FROM settings WHERE key = ?`, [key]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        return result[0].values[0][0];
+    },
+
+    set: (key, value) => {
+        db.run(`INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)`, [key, value]);
+        saveDatabase();
+        return { changes: 1 };
+    }
+};
+
+// Impersonation sessions; the access token carries the id and is checked against this row on every request
+const impersonationOps = {
+    create: (id, adminId, userId, reason, ttlMinutes, ipAddress = null) => {
+        db.run(`
+            INSERT INTO impersonation_sessions (id, adminId, userId, reason, ipAddress, startedAt, expiresAt)
+            VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now', ?))
+        `, [id, parseInt(adminId), parseInt(userId), reason, ipAddress, `+${parseInt(ttlMinutes)} minutes`]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Returns the session only while it is neither ended nor expired
+    findActiveById: (id) => {
+        const result = db.exec(`
+            SELECT * FROM impersonation_sessions
+            WHERE id = ? AND endedAt IS NULL AND expiresAt > datetime('now')
+        `, [id]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    end: (id) => {
+        db.run(`UPDATE impersonation_sessions SET endedAt = datetime('now') WHERE id = ? AND endedAt IS NULL`, [id]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    }
+};
+
+// Auth session operations (refresh token rotation and revocation)
+const sessionOps = {
+    create: (id, userId, refreshTokenHash, ttlDays, userAgent = null, ipAddress = null) => {
+        db.run(`
+            INSERT INTO auth_sessions (id, userId, refreshTokenHash, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt)
+            VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'), datetime('now', ?))
+        `, [id, parseInt(userId), refreshTokenHash, userAgent, ipAddress, `+${parseInt(ttlDays)} days`]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Returns the session only while it is neither revoked nor expired
+    findActiveById: (id) => {
+        const result = db.exec(`
+            SELECT *, (rotatedAt IS NOT NULL AND rotatedAt > datetime('now', '-30 seconds')) as recentlyRotated
+            FROM auth_sessions
+            WHERE id = ? AND revokedAt IS NULL AND expiresAt > datetime('now')
+        `, [id]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    rotate: (id, refreshTokenHash, ttlDays) => {
+        db.run(`
+            UPDATE auth_sessions
+            SET previousRefreshTokenHash = refreshTokenHash,
+                refreshTokenHash = ?,
+                rotatedAt = datetime('now'),
+                lastUsedAt = datetime('now'),
+                expiresAt = datetime('now', ?)
+            WHERE id = ?
+        `, [refreshTokenHash, `+${parseInt(ttlDays)} days`, id]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    getActiveByUser: (userId) => {
+        const result = db.exec(`
+            SELECT id, userAgent, ipAddress, createdAt, lastUsedAt, expiresAt
+            FROM auth_sessions
+            WHERE userId = ? AND revokedAt IS NULL AND expiresAt > datetime('now')
+            ORDER BY lastUsedAt DESC
+        `, [parseInt(userId)]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    revoke: (id) => {
+        db.run(`UPDATE auth_sessions SET revokedAt = datetime('now') WHERE id = ? AND revokedAt IS NULL`, [id]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    revokeAllForUser: (userId) => {
+        db.run(`UPDATE auth_sessions SET revokedAt = datetime('now') WHERE userId = ? AND revokedAt IS NULL`, [parseInt(userId)]);
+        saveDatabase();
+        return { changes: 1 };
+    }
+};
+
+// Auth attempt operations (throttling and lockout)
+const authAttemptOps = {
+    record: (kind, email, ipAddress, success) => {
+        db.run(`
+            INSERT INTO auth_attempts (kind, email, ipAddress, success, createdAt)
+            VALUES (?, ?, ?, ?, datetime('now'))
+        `, [kind, email ? email.toLowerCase() : null, ipAddress, success ? 1 : 0]);
+        // Nothing older than a day is needed for any window
+        db.run(`DELETE FROM auth_attempts WHERE createdAt < datetime('now', '-1 day')`);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Failed signins for an account within the window, since its last successful signin
+    countRecentFailuresForEmail: (email, windowMinutes) => {
+        const result = db.exec(`
+            SELECT COUNT(*) FROM auth_attempts
+            WHERE kind = 'signin' AND email = ? AND success = 0
+              AND createdAt > datetime('now', ?)
+              AND createdAt >= COALESCE(
+                  (SELECT MAX(createdAt) FROM auth_attempts WHERE kind = 'signin' AND email = ? AND success = 1), '')
+        `, [email.toLowerCase(), `-${parseInt(windowMinutes)} minutes`, email.toLowerCase()]);
+        return result[0]?.values[0]?.[0] || 0;
+    },
+
+    countRecentForIp: (kind, ipAddress, windowMinutes, failuresOnly = false) => {
+        const result = db.exec(`
+            SELECT COUNT(*) FROM auth_attempts
+            WHERE kind = ? AND ipAddress = ? AND createdAt > datetime('now', ?)${failuresOnly ? ' AND success = 0' : ''}
+        `, [kind, ipAddress, `-${parseInt(windowMinutes)} minutes`]);
+        return result[0]?.values[0]?.[0] || 0;
+    },
+
+    clearFailuresForEmail: (email) => {
+        db.run(`DELETE FROM auth_attempts WHERE kind = 'signin' AND email = ? AND success = 0`, [email.toLowerCase()]);
+        saveDatabase();
+        return { changes: 1 };
+    }
+};
+
+// Security event operations
+const securityEventOps = {
+    record: (type, { userId = null, email = null, ipAddress = null, details = null } = {}) => {
+        db.run(`
+            INSERT INTO security_events (type, userId, email, ipAddress, details, createdAt)
+            VALUES (?, ?, ?, ?, ?, datetime('now'))
+        `, [type, userId, email, ipAddress, details]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    getRecent: (limit = 50) => {
+        const result = db.exec(`SELECT * FROM security_events ORDER BY id DESC LIMIT ?`, [parseInt(limit)]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    }
+};
+
+// Audit log operations (append-only)
+const auditOps = {
+    record: ({ actorId = null, actorEmail = null, action, targetType = null, targetId = null, targetLabel = null,
+        before = null, after = null, ipAddress = null, userAgent = null }) => {
+        db.run(`
+            INSERT INTO audit_log (actorId, actorEmail, action, targetType, targetId, targetLabel,
+                                   beforeValue, afterValue, ipAddress, userAgent, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        `, [actorId, actorEmail, action, targetType, targetId === null ? null : String(targetId), targetLabel,
+            before === null ? null : JSON.stringify(before), after === null ? null : JSON.stringify(after),
+            ipAddress, userAgent]);
+        const id = db.exec(`SELECT last_insert_rowid() as id`)[0].values[0][0];
+        saveDatabase();
+        return id;
+    },
+
+    // Newest first; limit null returns every matching entry (exports)
+    search: (filter = {}, page = 1, limit = 50) => {
+        const { where, params } = auditFilter(filter);
+        const paging = limit === null ? '' : ' LIMIT ? OFFSET ?';
+        const pagingParams = limit === null ? [] : [limit, (page - 1) * limit];
+
+        const result = db.exec(`SELECT * FROM audit_log${where} ORDER BY id DESC${paging}`, [...params, ...pagingParams]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            toAuditEntry(columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {}))
+        );
+    },
+
+    count: (filter = {}) => {
+        const { where, params } = auditFilter(filter);
+        const result = db.exec(`SELECT COUNT(*) as count FROM audit_log${where}`, params);
+        return result[0]?.values[0]?.[0] || 0;
+    },
+
+    // Values for the filter dropdowns; actors include accounts that have since been deleted
+    getFilterOptions: () => {
+        const actions = db.exec(`SELECT DISTINCT action FROM audit_log ORDER BY action`);
+        const actors = db.exec(`
+            SELECT actorId, MAX(actorEmail) as actorEmail FROM audit_log
+            WHERE actorId IS NOT NULL GROUP BY actorId ORDER BY actorEmail
+        `);
+        return {
+            actions: actions.length ? actions[0].values.map(row => row[0]) : [],
+            actors: actors.length ? actors[0].values.map(([id, email]) => ({ id, email })) : []
+        };
+    }
+};
+
+function toAuditEntry(row) {
+    const { beforeValue, afterValue, ...entry } = row;
+    return {
+        ...entry,
+        before: beforeValue ? JSON.parse(beforeValue) : null,
+        after: afterValue ? JSON.parse(afterValue) : null
+    };
+}
+
+// WHERE clause for audit_log; dates are YYYY-MM-DD and endDate is inclusive
+function auditFilter({ actorId = null, action = null, targetType = null, targetId = null, startDate = null, endDate = null }) {
+    const conditions = [];
+    const params = [];
+
+    if (actorId) {
+        conditions.push('actorId = ?');
+        params.push(parseInt(actorId));
+    }
+    if (action) {
+        conditions.push('action = ?');
+        params.push(action);
+    }
+    if (targetType) {
+        conditions.push('targetType = ?');
+        params.push(targetType);
+    }
+    if (targetId) {
+        conditions.push('targetId = ?');
+        params.push(String(targetId));
+    }
+    if (startDate) {
+        conditions.push('createdAt >= ?');
+        params.push(startDate);
+    }
+    if (endDate) {
+        conditions.push(`createdAt < date(?, '+1 day')`);
+        params.push(endDate);
+    }
+
+    return { where: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Password reset token operations
+const passwordResetOps = {
+    create: (tokenHash, userId, ttlMinutes) => {
+        // Drop expired tokens so the table does not grow unbounded
+        db.run(`DELETE FROM password_reset_tokens WHERE expiresAt <= datetime('now')`);
+        db.run(`
+            INSERT INTO password_reset_tokens (tokenHash, userId, createdAt, expiresAt)
+            VALUES (?, ?, datetime('now'), datetime('now', ?))
+        `, [tokenHash, parseInt(userId), `+${parseInt(ttlMinutes)} minutes`]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Returns the token's userId if it is unused and unexpired
+    findValid: (tokenHash) => {
+        const result = db.exec(`
+            SELECT userId FROM password_reset_tokens
+            WHERE tokenHash = ? AND usedAt IS NULL AND expiresAt > datetime('now')
+        `, [tokenHash]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        return result[0].values[0][0];
+    },
+
+    // Mark the token used and invalidate any other outstanding tokens for the user
+    consume: (tokenHash, userId) => {
+        db.run(`UPDATE password_reset_tokens SET usedAt = datetime('now') WHERE tokenHash = ?`, [tokenHash]);
+        db.run(`DELETE FROM password_reset_tokens WHERE userId = ? AND usedAt IS NULL`, [parseInt(userId)]);
+        saveDatabase();
+        return { changes: 1 };
+    }
+};
+
+// Editor auth code operations (PKCE-style code exchange)
+const editorAuthOps = {
+    createCode: (codeHash, userId, codeChallenge, codeChallengeMethod, ttlSeconds) => {
+        // Drop expired codes so the table does not grow unbounded
+        db.run(`DELETE FROM editor_auth_codes WHERE expiresAt <= datetime('now')`);
+        db.run(`
+            INSERT INTO editor_auth_codes (codeHash, userId, codeChallenge, codeChallengeMethod, createdAt, expiresAt)
+            VALUES (?, ?, ?, ?, datetime('now'), datetime('now', ?))
+        `, [codeHash, parseInt(userId), codeChallenge, codeChallengeMethod, `+${parseInt(ttlSeconds)} seconds`]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Fetch and delete a code in one step so it can only be used once
+    consumeCode: (codeHash) => {
+        const result = db.exec(`SELECT * FROM editor_auth_codes WHERE codeHash = ? AND expiresAt > datetime('now')`, [codeHash]);
+        db.run(`DELETE FROM editor_auth_codes WHERE codeHash = ?`, [codeHash]);
+        saveDatabase();
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    }
+};
+
+// Signup invite operations
+const inviteOps = {
+    create: (tokenHash, { email = null, note = null, maxUses = 1, expiresInDays = null, connectionProfileId = null, groupId = null, createdBy = null }) => {
+        db.run(`
+            INSERT INTO invites (tokenHash, email, note, maxUses, connectionProfileId, groupId, createdBy, expiresAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+        `, [
+            tokenHash, email, note, maxUses,
+            connectionProfileId ? parseInt(connectionProfileId) : null,
+            groupId ? parseInt(groupId) : null,
+            createdBy ? parseInt(createdBy) : null,
+            expiresInDays, `+${parseInt(expiresInDays) || 0} days`
+        ]);
+        const result = db.exec(`SELECT last_insert_rowid() as id`);
+        const id = result[0].values[0][0];
+        saveDatabase();
+        return id;
+    },
+
+    // Usable invites only: not revoked, not expired and with uses left
+    findValidByHash: (tokenHash) => {
+        const result = db.exec(`
+            SELECT * FROM invites
+            WHERE tokenHash = ? AND revokedAt IS NULL
+              AND (expiresAt IS NULL OR expiresAt > datetime('now'))
+              AND (maxUses IS NULL OR useCount < maxUses)
+        `, [tokenHash]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    recordUse: (id) => {
+        db.run(`UPDATE invites SET useCount = useCount + 1 WHERE id = ?`, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    findById: (id) => {
+        const result = db.exec(`SELECT * FROM invites WHERE id = ?`, [parseInt(id)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    // createdBy limits the list to one user's invites (group admins only see their own)
+    getAll: ({ createdBy = null } = {}) => {
+        const result = db.exec(`
+            SELECT i.id, i.email, i.note, i.maxUses, i.useCount, i.connectionProfileId, i.groupId,
+                   i.createdAt, i.expiresAt, i.revokedAt,
+                   u.email as createdByEmail, p.name as connectionProfileName, g.name as groupName
+            FROM invites i
+            LEFT JOIN users u ON u.id = i.createdBy
+            LEFT JOIN connection_profiles p ON p.id = i.connectionProfileId
+            LEFT JOIN user_groups g ON g.id = i.groupId
+            ${createdBy ? 'WHERE i.createdBy = ?' : ''}
+            ORDER BY i.createdAt DESC, i.id DESC
+        `, createdBy ? [parseInt(createdBy)] : []);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    revoke: (id) => {
+        db.run(`UPDATE invites SET revokedAt = datetime('now') WHERE id = ? AND revokedAt IS NULL`, [parseInt(id)]);
+        saveDatabase();
+        return { changes: 1 };
+    }
+};
+
+// Connection profile operations; keys are encrypted at rest and decrypted on read
+const connectionProfileOps = {
+    create: ({ name, apiKey, resourceName = null, deploymentName = null, apiVersion = null }) => {
+        try {
+            db.run(`
+                INSERT INTO connection_profiles (name, apiKey, resourceName, deployment, apiVersion)
+                VALUES (?, ?, ?, ?, ?)
+            `, [name, encryptSecret(apiKey), resourceName, deploymentName, apiVersion]);
+            const result = db.exec(`SELECT last_insert_rowid() as id`);
+            const id = result[0].values[0][0];
+            saveDatabase();
+            return id;
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return null; // Name already taken
+            }
+            throw error;
+        }
+    },
+
+    findById: (id) => {
+        const result = db.exec(`SELECT * FROM connection_profiles WHERE id = ?`, [parseInt(id)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return toProfile(columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {}));
+    },
+
+    // The Azure connection a user's requests go through: their own profile, else the
+    // profile of the first group they joined that has one; null if neither is set
+    findForUser: (userId) => {
+        const result = db.exec(`
+            SELECT p.* FROM connection_profiles p
+            WHERE p.id = COALESCE(
+                (SELECT connectionProfileId FROM users WHERE id = ?),
+                (SELECT g.connectionProfileId FROM user_group_members m
+                 JOIN user_groups g ON g.id = m.groupId
+                 WHERE m.userId = ? AND g.connectionProfileId IS NOT NULL
+                 ORDER BY m.addedAt, g.id LIMIT 1)
+            )
+        `, [parseInt(userId), parseInt(userId)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return toProfile(columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {}));
+    },
+
+    // Keys are never listed; keyHint shows the last four characters
+    getAll: () => {
+        const result = db.exec(`
+            SELECT p.*,
+                   (SELECT COUNT(*) FROM users u WHERE u.connectionProfileId = p.id) as userCount,
+                   (SELECT COUNT(*) FROM user_groups g WHERE g.connectionProfileId = p.id) as groupCount
+            FROM connection_profiles p
+            ORDER BY p.name
+        `);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row => {
+            const { apiKey, ...profile } = toProfile(columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {}));
+            return { ...profile, keyHint: `…${apiKey.slice(-4)}` };
+        });
+    },
+
+    // Only the given fields change; a new apiKey is a rotation and applies to every assigned user
+    update: (id, { name, apiKey, resourceName, deploymentName, apiVersion }) => {
+        const fields = [];
+        const params = [];
+        const set = (column, value) => {
+            if (value !== undefined) {
+                fields.push(`${column} = ?`);
+                params.push(value);
+            }
+        };
+
+        set('name', name);
+        set('resourceName', resourceName);
+        set('deployment', deploymentName);
+        set('apiVersion', apiVersion);
+        if (apiKey !== undefined) {
+            set('apiKey', encryptSecret(apiKey));
+            fields.push(`keyRotatedAt = datetime('now')`);
+        }
+
+        try {
+            db.run(`UPDATE connection_profiles SET ${[...fields, `updatedAt = datetime('now')`].join(', ')} WHERE id = ?`,
+                [...params, parseInt(id)]);
+            const changes = db.getRowsModified();
+            saveDatabase();
+            return { changes };
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return null; // Name already taken
+            }
+            throw error;
+        }
+    },
+
+    // Users and groups, plus invites that can still be used
+    countAssignments: (id) => {
+        const result = db.exec(`
+            SELECT (SELECT COUNT(*) FROM users WHERE connectionProfileId = ?)
+                 + (SELECT COUNT(*) FROM user_groups WHERE connectionProfileId = ?)
+                 + (SELECT COUNT(*) FROM invites
+                    WHERE connectionProfileId = ? AND revokedAt IS NULL
+                      AND (expiresAt IS NULL OR expiresAt > datetime('now'))
+                      AND (maxUses IS NULL OR useCount < maxUses))
+        `, [parseInt(id), parseInt(id), parseInt(id)]);
+        return result[0]?.values[0]?.[0] || 0;
+    },
+
+    delete: (id) => {
+        db.run(`UPDATE invites SET connectionProfileId = NULL WHERE connectionProfileId = ?`, [parseInt(id)]);
+        db.run(`DELETE FROM connection_profiles WHERE id = ?`, [parseInt(id)]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    }
+};
+
+// Usage counted against group quotas: all requests by current members this calendar month
+const GROUP_USAGE_SQL = `
+    SELECT COUNT(r.id), COALESCE(SUM(r.inputTokens + r.outputTokens), 0)
+    FROM llm_requests r
+    JOIN llm_sessions s ON s.id = r.sessionId
+    WHERE s.userId IN (SELECT userId FROM user_group_members WHERE groupId = ?)
+      AND r.timestamp >= datetime('now', 'start of month')
+`;
+
+// Group (team) operations
+const groupOps = {
+    create: ({ name, description = null, connectionProfileId = null, monthlyTokenQuota = null, monthlyRequestQuota = null }) => {
+        try {
+            db.run(`
+                INSERT INTO user_groups (name, description, connectionProfileId, monthlyTokenQuota, monthlyRequestQuota)
+                VALUES (?, ?, ?, ?, ?)
+            `, [name, description, connectionProfileId, monthlyTokenQuota, monthlyRequestQuota]);
+            const result = db.exec(`SELECT last_insert_rowid() as id`);
+            const id = result[0].values[0][0];
+            saveDatabase();
+            return id;
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return null; // Name already taken
+            }
+            throw error;
+        }
+    },
+
+    findById: (id) => {
+        const result = db.exec(`SELECT * FROM user_groups WHERE id = ?`, [parseInt(id)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    // groupIds limits the list (group admins only see the groups they manage)
+    getAll: (groupIds = null) => {
+        let query = `
+            SELECT g.*, p.name as connectionProfileName,
+                   (SELECT COUNT(*) FROM user_group_members m JOIN users u ON u.id = m.userId
+                    WHERE m.groupId = g.id AND u.status != 'deleted') as memberCount
+            FROM user_groups g
+            LEFT JOIN connection_profiles p ON p.id = g.connectionProfileId`;
+        const params = [];
+
+        if (groupIds) {
+            query += ` WHERE g.id IN (${groupIds.map(() => '?').join(', ')})`;
+            params.push(...groupIds.map(id => parseInt(id)));
+        }
+
+        const result = db.exec(`${query} ORDER BY g.name`, params);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row => {
+            const group = columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {});
+            return { ...group, usage: groupOps.getUsage(group.id) };
+        });
+    },
+
+    // The groups a user belongs to, with their own group-admin flag
+    getForUser: (userId) => {
+        const result = db.exec(`
+            SELECT g.id, g.name, g.description, g.monthlyTokenQuota, g.monthlyRequestQuota, m.isGroupAdmin, m.addedAt
+            FROM user_group_members m
+            JOIN user_groups g ON g.id = m.groupId
+            WHERE m.userId = ?
+            ORDER BY g.name
+        `, [parseInt(userId)]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    // Only the given fields change; null clears a profile or quota
+    update: (id, fields) => {
+        const columns = ['name', 'description', 'connectionProfileId', 'monthlyTokenQuota', 'monthlyRequestQuota']
+            .filter(column => fields[column] !== undefined);
+        if (columns.length === 0) return { changes: 0 };
+
+        try {
+            db.run(`UPDATE user_groups SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => fields[column]), parseInt(id)]);
+            const changes = db.getRowsModified();
+            saveDatabase();
+            return { changes };
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return null; // Name already taken
+            }
+            throw error;
+        }
+    },
+
+    delete: (id) => {
+        db.run(`DELETE FROM user_group_members WHERE groupId = ?`, [parseInt(id)]);
+        db.run(`UPDATE invites SET groupId = NULL WHERE groupId = ?`, [parseInt(id)]);
+        db.run(`DELETE FROM user_groups WHERE id = ?`, [parseInt(id)]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    },
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS settings (
-            key TEXT PRIMARY KEY,
-            value TEXT
-        )
-    `);
+    getMembers: (groupId) => {
+        const result = db.exec(`
+            SELECT u.id, u.email, u.role, u.isApproved, u.status, u.statusReason, u.approvalReason, m.isGroupAdmin, m.addedAt
+            FROM user_group_members m
+            JOIN users u ON u.id = m.userId
+            WHERE m.groupId = ? AND u.status != 'deleted'
+            ORDER BY m.isGroupAdmin DESC, u.email
+        `, [parseInt(groupId)]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
 
-    // LLM Logging tables
-    db.run(`
-        CREATE TABLE IF NOT EXISTS llm_sessions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            threadId TEXT UNIQUE NOT NULL,
-            assistantId TEXT NOT NULL,
-            userId INTEGER NOT NULL,
-            userEmail TEXT NOT NULL,
-            startedAt TEXT DEFAULT CURRENT_TIMESTAMP,
-            lastActivityAt TEXT,
-            status TEXT DEFAULT 'active' CHECK(status IN ('active', 'completed', 'error')),
-            errorMessage TEXT,
-            totalRequests INTEGER DEFAULT 0,
-            totalInputTokens INTEGER DEFAULT 0,
-            totalOutputTokens INTEGER DEFAULT 0,
-            FOREIGN KEY (userId) REFERENCES users(id)
-        )
-    `);
+    // Returns { changes: 0 } if the user is already a member
+    addMember: (groupId, userId, isGroupAdmin = false) => {
+        db.run(`INSERT OR IGNORE INTO user_group_members (groupId, userId, isGroupAdmin) VALUES (?, ?, ?)`,
+            [parseInt(groupId), parseInt(userId), isGroupAdmin ? 1 : 0]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    },
 
-    db.run(`
-        CREATE TABLE IF NOT EXISTS llm_requests (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            sessionId INTEGER NOT NULL,
-            requestType TEXT NOT NULL CHECK(requestType IN ('chat', 'tool_output')),
-            timestamp TEXT DEFAULT CURRENT_TIMESTAMP,
-            inputTokens INTEGER DEFAULT 0,
-            outputTokens INTEGER DEFAULT 0,
-            toolCallCount INTEGER DEFAULT 0,
-            status TEXT DEFAULT 'success' CHECK(status IN ('success', 'error')),
-            errorMessage TEXT,
-            FOREIGN KEY (sessionId) REFERENCES llm_sessions(id)
-        )
-    `);
+    removeMember: (groupId, userId) => {
+        db.run(`DELETE FROM user_group_members WHERE groupId = ? AND userId = ?`, [parseInt(groupId), parseInt(userId)]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    },
 
-    // Create default admin account if it doesn't exist
-    const defaultAdminEmail = 'admin@codeally.com';
-    const defaultAdminPassword = 'Admin@123';
+    setGroupAdmin: (groupId, userId, isGroupAdmin) => {
+        db.run(`UPDATE user_group_members SET isGroupAdmin = ? WHERE groupId = ? AND userId = ?`,
+            [isGroupAdmin ? 1 : 0, parseInt(groupId), parseInt(userId)]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    },
 
-    const existingAdmin = db.exec(`SELECT id FROM users WHERE email = '${defaultAdminEmail}'`);
-    if (existingAdmin.length === 0) {
-        const hashedPassword = bcrypt.hashSync(defaultAdminPassword, 10);
-        db.run(`
-            INSERT INTO users (email, password, role, isApproved) 
-            VALUES ('${defaultAdminEmail}', '${hashedPassword}', 'admin', 1)
-        `);
-        console.log('Default admin account created: admin@codeally.com / Admin@123');
-    }
+    getMembership: (groupId, userId) => {
+        const result = db.exec(`SELECT isGroupAdmin, addedAt FROM user_group_members WHERE groupId = ? AND userId = ?`,
+            [parseInt(groupId), parseInt(userId)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const [isGroupAdmin, addedAt] = result[0].values[0];
+        return { isGroupAdmin: Boolean(isGroupAdmin), addedAt };
+    },
 
-    // Save database
-    saveDatabase();
+    getGroupIdsForUser: (userId) => {
+        const result = db.exec(`SELECT groupId FROM user_group_members WHERE userId = ?`, [parseInt(userId)]);
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    },
 
-    return db;
-}
+    getManagedGroupIds: (userId) => {
+        const result = db.exec(`SELECT groupId FROM user_group_members WHERE userId = ? AND isGroupAdmin = 1`, [parseInt(userId)]);
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    },
 
-// Save database to file
-function saveDatabase() {
-    if (!db) return;
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
-}
+    getUsage: (groupId) => {
+        const result = db.exec(GROUP_USAGE_SQL, [parseInt(groupId)]);
+        const [requests, tokens] = result[0]?.values[0] || [0, 0];
+        return { requests, tokens };
+    },
 
-// User operations
-const userOps = {
-    findByEmail: (email) => {
-        const result = db.exec(`SELECT * FROM users WHERE email = ?`, [email]);
+    // The first of the user's groups whose monthly token or request quota is used up, or null
+    findExceededQuota: (userId) => {
+        const result = db.exec(`
+            SELECT g.id, g.name, g.monthlyTokenQuota, g.monthlyRequestQuota
+            FROM user_group_members m
+            JOIN user_groups g ON g.id = m.groupId
+            WHERE m.userId = ? AND (g.monthlyTokenQuota IS NOT NULL OR g.monthlyRequestQuota IS NOT NULL)
+        `, [parseInt(userId)]);
+        if (result.length === 0) return null;
+
+        for (const [id, name, monthlyTokenQuota, monthlyRequestQuota] of result[0].values) {
+            const usage = groupOps.getUsage(id);
+            if ((monthlyTokenQuota !== null && usage.tokens >= monthlyTokenQuota) ||
+                (monthlyRequestQuota !== null && usage.requests >= monthlyRequestQuota)) {
+                return { id, name, monthlyTokenQuota, monthlyRequestQuota, usage };
+            }
+        }
+        return null;
+    }
+};
+
+// Personal access token operations
+const patOps = {
+    create: (userId, name, tokenHash, tokenPrefix, scopes, expiresInDays) => {
+        db.run(`
+            INSERT INTO personal_access_tokens (userId, name, tokenHash, tokenPrefix, scopes, expiresAt)
+            VALUES (?, ?, ?, ?, ?, datetime('now', ?))
+        `, [parseInt(userId), name, tokenHash, tokenPrefix, scopes.join(' '), `+${parseInt(expiresInDays)} days`]);
+        const result = db.exec(`SELECT last_insert_rowid() as id`);
+        const id = result[0].values[0][0];
+        saveDatabase();
+        return id;
+    },
+
+    findActiveByHash: (tokenHash) => {
+        const result = db.exec(`
+            SELECT id, userId, name, scopes, expiresAt FROM personal_access_tokens
+            WHERE tokenHash = ? AND revokedAt IS NULL AND expiresAt > datetime('now')
+        `, [tokenHash]);
         if (result.length === 0 || result[0].values.length === 0) return null;
         const columns = result[0].columns;
         const values = result[0].values[0];
-        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+        const token = columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+        return { ...token, scopes: token.scopes.split(' ') };
     },
 
-    findById: (id) => {
-        const result = db.exec(`SELECT id, email, role, isApproved, apiKey, azureResourceName, azureDeployment, azureApiVersion, createdAt FROM users WHERE id = ?`, [parseInt(id)]);
-        if (result.length === 0 || result[0].values.length === 0) return null;
+    // Last-used tracking is coarse (once a minute) so busy scripts don't rewrite the database on every call
+    touch: (id, ipAddress) => {
+        db.run(`
+            UPDATE personal_access_tokens SET lastUsedAt = datetime('now'), lastUsedIp = ?
+            WHERE id = ? AND (lastUsedAt IS NULL OR lastUsedAt < datetime('now', '-1 minute'))
+        `, [ipAddress, parseInt(id)]);
+        if (db.getRowsModified() > 0) {
+            saveDatabase();
+        }
+    },
+
+    getByUser: (userId) => {
+        const result = db.exec(`
+            SELECT id, name, tokenPrefix, scopes, createdAt, expiresAt, lastUsedAt, lastUsedIp, revokedAt
+            FROM personal_access_tokens
+            WHERE userId = ?
+            ORDER BY createdAt DESC, id DESC
+        `, [parseInt(userId)]);
+        if (result.length === 0) return [];
         const columns = result[0].columns;
-        const values = result[0].values[0];
-        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+        return result[0].values.map(row => {
+            const token = columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {});
+            return { ...token, scopes: token.scopes.split(' ') };
+        });
     },
 
-    create: (email, password) => {
-        const hashedPassword = bcrypt.hashSync(password, 10);
+    // Scoped to the owner so users can only revoke their own tokens
+    revoke: (id, userId) => {
+        db.run(`UPDATE personal_access_tokens SET revokedAt = datetime('now') WHERE id = ? AND userId = ? AND revokedAt IS NULL`,
+            [parseInt(id), parseInt(userId)]);
+        const changes = db.getRowsModified();
+        saveDatabase();
+        return { changes };
+    }
+};
+
+// LLM Logging operations
+const assistantOps = {
+    // Returns the new row's id, or null if another request cached an assistant for this key first
+    create: ({ assistantId, resourceName, deploymentName, instructionsHash, toolsVersion }) => {
         try {
             db.run(`
-                INSERT INTO users (email, password, role, isApproved) 
-                VALUES (?, ?, 'user', 0)
-            `, [email, hashedPassword]);
-            saveDatabase();
-
+                INSERT INTO llm_assistants (assistantId, resourceName, deploymentName, instructionsHash, toolsVersion)
+                VALUES (?, ?, ?, ?, ?)
+            `, [assistantId, resourceName, deploymentName, instructionsHash, toolsVersion]);
             const result = db.exec(`SELECT last_insert_rowid() as id`);
             const id = result[0].values[0][0];
-            return { id, email, role: 'user', isApproved: 0 };
+            saveDatabase();
+            return id;
         } catch (error) {
             if (error.message.includes('UNIQUE constraint failed')) {
-                return null; // Email already exists
+                return null;
             }
             throw error;
         }
     },
 
-    getAll: () => {
-        const result = db.exec(`SELECT id, email, role, isApproved, createdAt FROM users ORDER BY createdAt DESC`);
+    findByKey: (resourceName, deploymentName, instructionsHash) => {
+        const result = db.exec(`
+            SELECT * FROM llm_assistants WHERE resourceName = ? AND deploymentName = ? AND instructionsHash = ?
+        `, [resourceName, deploymentName, instructionsHash]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    findByAssistantId: (assistantId) => {
+        const result = db.exec(`SELECT * FROM llm_assistants WHERE assistantId = ?`, [assistantId]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
+    },
+
+    getForResource: (resourceName) => {
+        const result = db.exec(`SELECT * FROM llm_assistants WHERE resourceName = ? ORDER BY lastUsedAt DESC`, [resourceName]);
         if (result.length === 0) return [];
         const columns = result[0].columns;
         return result[0].values.map(row =>
@@ -174,71 +1789,213 @@ const userOps = {
         );
     },
 
-    approve: (id) => {
-        db.run(`UPDATE users SET isApproved = 1 WHERE id = ?`, [parseInt(id)]);
+    setToolsVersion: (id, toolsVersion) => {
+        db.run(`UPDATE llm_assistants SET toolsVersion = ?, updatedAt = datetime('now') WHERE id = ?`, [toolsVersion, parseInt(id)]);
         saveDatabase();
         return { changes: 1 };
     },
 
-    deny: (id) => {
-        db.run(`UPDATE users SET isApproved = 0 WHERE id = ?`, [parseInt(id)]);
+    markUsed: (id) => {
+        db.run(`UPDATE llm_assistants SET lastUsedAt = datetime('now') WHERE id = ?`, [parseInt(id)]);
         saveDatabase();
         return { changes: 1 };
     },
 
-    makeAdmin: (id) => {
-        db.run(`UPDATE users SET role = 'admin' WHERE id = ?`, [parseInt(id)]);
+    delete: (id) => {
+        db.run(`DELETE FROM llm_assistants WHERE id = ?`, [parseInt(id)]);
         saveDatabase();
         return { changes: 1 };
+    }
+};
+
+const toolSetOps = {
+    // Returns the new row's id, or null if the version already exists
+    create: ({ version, tools, notes = null, createdBy = null, createdByEmail = null }) => {
+        try {
+            db.run(`
+                INSERT INTO tool_sets (version, tools, notes, createdBy, createdByEmail)
+                VALUES (?, ?, ?, ?, ?)
+            `, [version, JSON.stringify(tools), notes, createdBy, createdByEmail]);
+            const result = db.exec(`SELECT last_insert_rowid() as id`);
+            const id = result[0].values[0][0];
+            saveDatabase();
+            return id;
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return null;
+            }
+            throw error;
+        }
     },
 
-    removeAdmin: (id) => {
-        db.run(`UPDATE users SET role = 'user' WHERE id = ?`, [parseInt(id)]);
-        saveDatabase();
-        return { changes: 1 };
+    findByVersion: (version) => {
+        const result = db.exec(`SELECT * FROM tool_sets WHERE version = ?`, [version]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return toToolSet(columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {}));
     },
 
-    setAzureConfig: (id, config) => {
-        db.run(`UPDATE users SET apiKey = ?, azureResourceName = ?, azureDeployment = ?, azureApiVersion = ? WHERE id = ?`,
-            [config.apiKey, config.resourceName, config.deploymentName, config.apiVersion, parseInt(id)]);
-        saveDatabase();
-        return { changes: 1 };
+    // Newest first, with the number of sessions started on each
+    getAll: () => {
+        const result = db.exec(`
+            SELECT t.*, (SELECT COUNT(*) FROM llm_sessions s WHERE s.toolSetVersion = t.version) as sessionCount
+            FROM tool_sets t
+            ORDER BY t.createdAt DESC, t.id DESC
+        `);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            toToolSet(columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {}))
+        );
     },
 
-    delete: (id) => {
-        db.run(`DELETE FROM users WHERE id = ?`, [parseInt(id)]);
-        saveDatabase();
-        return { changes: 1 };
+    count: () => {
+        const result = db.exec(`SELECT COUNT(*) FROM tool_sets`);
+        return result[0]?.values[0]?.[0] || 0;
     },
 
-    verifyPassword: (user, password) => {
-        return bcrypt.compareSync(password, user.password);
+    getCurrentVersion: () => settingsOps.get('currentToolSetVersion'),
+
+    setCurrentVersion: (version) => settingsOps.set('currentToolSetVersion', version),
+
+    setRetired: (version, retired) => {
+        db.run(`
+            UPDATE tool_sets SET retiredAt = ${retired ? "datetime('now')" : 'NULL'} WHERE version = ?
+        `, [version]);
+        saveDatabase();
+        return { changes: 1 };
     }
 };
 
-// Settings operations
-const settingsOps = {
-    get: (key) => {
-        const result = db.exec(`SELECT value FROM settings WHERE key = ?`, [key]);
+function toToolSet(row) {
+    return { ...row, tools: JSON.parse(row.tools) };
+}
+
+const agentModeOps = {
+    // settings: { instructions, allowedTools, model, temperature } of version 1. Returns false if the id is taken
+    create: ({ id, name, description = null }, settings, createdBy = null, createdByEmail = null) => {
+        try {
+            transaction(() => {
+                db.run(`INSERT INTO agent_modes (id, name, description) VALUES (?, ?, ?)`, [id, name, description]);
+                insertModeVersion(id, 1, settings, createdBy, createdByEmail);
+            });
+            return true;
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                return false;
+            }
+            throw error;
+        }
+    },
+
+    // The mode with the settings of its current version
+    findById: (id) => {
+        const result = db.exec(`
+            SELECT m.*, v.instructions, v.allowedTools, v.model, v.temperature
+            FROM agent_modes m
+            JOIN agent_mode_versions v ON v.modeId = m.id AND v.version = m.currentVersion
+            WHERE m.id = ?
+        `, [id]);
         if (result.length === 0 || result[0].values.length === 0) return null;
-        return result[0].values[0][0];
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return toAgentMode(columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {}));
     },
 
-    set: (key, value) => {
-        db.run(`INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)`, [key, value]);
+    // Every mode with its current settings and the number of sessions started on it
+    getAll: () => {
+        const result = db.exec(`
+            SELECT m.*, v.instructions, v.allowedTools, v.model, v.temperature,
+                   (SELECT COUNT(*) FROM llm_sessions s WHERE s.modeId = m.id) as sessionCount
+            FROM agent_modes m
+            JOIN agent_mode_versions v ON v.modeId = m.id AND v.version = m.currentVersion
+            ORDER BY m.name
+        `);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            toAgentMode(columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {}))
+        );
+    },
+
+    count: () => {
+        const result = db.exec(`SELECT COUNT(*) FROM agent_modes`);
+        return result[0]?.values[0]?.[0] || 0;
+    },
+
+    getVersion: (modeId, version) => {
+        const result = db.exec(`
+            SELECT * FROM agent_mode_versions WHERE modeId = ? AND version = ?
+        `, [modeId, parseInt(version)]);
+        if (result.length === 0 || result[0].values.length === 0) return null;
+        const columns = result[0].columns;
+        const values = result[0].values[0];
+        return toAgentMode(columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {}));
+    },
+
+    // Newest first
+    getVersions: (modeId) => {
+        const result = db.exec(`SELECT * FROM agent_mode_versions WHERE modeId = ? ORDER BY version DESC`, [modeId]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            toAgentMode(columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {}))
+        );
+    },
+
+    // Name, description and enabled don't change how sessions run, so they don't add a version
+    update: (id, fields) => {
+        const values = { ...fields, enabled: fields.enabled === undefined ? undefined : (fields.enabled ? 1 : 0) };
+        const columns = ['name', 'description', 'enabled'].filter(column => values[column] !== undefined);
+        if (columns.length === 0) return { changes: 0 };
+
+        db.run(`UPDATE agent_modes SET ${columns.map(column => `${column} = ?`).join(', ')}, updatedAt = datetime('now') WHERE id = ?`,
+            [...columns.map(column => values[column]), id]);
         saveDatabase();
         return { changes: 1 };
-    }
+    },
+
+    // Returns the new version number
+    addVersion: (id, settings, createdBy = null, createdByEmail = null) => transaction(() => {
+        const result = db.exec(`SELECT currentVersion FROM agent_modes WHERE id = ?`, [id]);
+        const version = result[0].values[0][0] + 1;
+        insertModeVersion(id, version, settings, createdBy, createdByEmail);
+        db.run(`UPDATE agent_modes SET currentVersion = ?, updatedAt = datetime('now') WHERE id = ?`, [version, id]);
+        return version;
+    }),
+
+    getDefaultId: () => settingsOps.get('defaultAgentMode'),
+
+    setDefaultId: (id) => settingsOps.set('defaultAgentMode', id)
 };
 
-// LLM Logging operations
+function insertModeVersion(modeId, version, { instructions, allowedTools = null, model = null, temperature = null }, createdBy, createdByEmail) {
+    db.run(`
+        INSERT INTO agent_mode_versions (modeId, version, instructions, allowedTools, model, temperature, createdBy, createdByEmail)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [modeId, version, instructions, allowedTools ? JSON.stringify(allowedTools) : null, model, temperature,
+        createdBy, createdByEmail]);
+}
+
+function toAgentMode(row) {
+    const mode = { ...row, allowedTools: row.allowedTools ? JSON.parse(row.allowedTools) : null };
+    if (row.enabled !== undefined) mode.enabled = Boolean(row.enabled);
+    return mode;
+}
+
 const llmLogOps = {
-    createSession: (threadId, assistantId, userId, userEmail) => {
+    // connection: the profile an assistant session was created on ({ profileId, resourceName, deploymentName });
+    // setup: what it runs with ({ toolSetVersion, modeId, modeVersion })
+    createSession: (threadId, assistantId, userId, userEmail, connection = {}, setup = {}) => {
         try {
             db.run(`
-                INSERT INTO llm_sessions (threadId, assistantId, userId, userEmail, startedAt, lastActivityAt)
-                VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
-            `, [threadId, assistantId, parseInt(userId), userEmail]);
+                INSERT INTO llm_sessions (threadId, assistantId, userId, userEmail, profileId, resourceName, deploymentName,
+                                          toolSetVersion, modeId, modeVersion, startedAt, lastActivityAt)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            `, [threadId, assistantId, parseInt(userId), userEmail, connection.profileId || null,
+                connection.resourceName || null, connection.deploymentName || null, setup.toolSetVersion || null,
+                setup.modeId || null, setup.modeVersion || null]);
             saveDatabase();
 
             const result = db.exec(`SELECT last_insert_rowid() as id`);
@@ -257,6 +2014,56 @@ const llmLogOps = {
         return columns.reduce((obj, col, i) => ({ ...obj, [col]: values[i] }), {});
     },
 
+    // Sessions started before connections were recorded get one when they are resumed
+    setSessionConnection: (threadId, { profileId, resourceName, deploymentName }) => {
+        db.run(`
+            UPDATE llm_sessions SET profileId = ?, resourceName = ?, deploymentName = ? WHERE threadId = ?
+        `, [parseInt(profileId), resourceName, deploymentName, threadId]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
+    // Open sessions with no activity for the given number of hours, optionally only those on one Azure resource
+    getIdleSessions: (idleHours, resourceName = null) => {
+        const result = db.exec(`
+            SELECT * FROM llm_sessions
+            WHERE status IN ('active', 'error') AND lastActivityAt < datetime('now', ?)${resourceName ? ' AND resourceName = ?' : ''}
+        `, [`-${parseInt(idleHours)} hours`, ...(resourceName ? [resourceName] : [])]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    // Finished sessions whose Azure objects have not been deleted yet, oldest first, optionally only those on one resource
+    getSessionsToCleanUp: (limit, resourceName = null) => {
+        const result = db.exec(`
+            SELECT * FROM llm_sessions
+            WHERE status IN ('completed', 'expired') AND cleanedUpAt IS NULL${resourceName ? ' AND resourceName = ?' : ''}
+            ORDER BY lastActivityAt LIMIT ?
+        `, [...(resourceName ? [resourceName] : []), parseInt(limit)]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    // Whether an open session still runs on this assistant
+    isAssistantInUse: (assistantId) => {
+        const result = db.exec(`
+            SELECT COUNT(*) FROM llm_sessions WHERE assistantId = ? AND status IN ('active', 'error')
+        `, [assistantId]);
+        return (result[0]?.values[0]?.[0] || 0) > 0;
+    },
+
+    markSessionCleanedUp: (threadId) => {
+        db.run(`UPDATE llm_sessions SET cleanedUpAt = datetime('now') WHERE threadId = ?`, [threadId]);
+        saveDatabase();
+        return { changes: 1 };
+    },
+
     logRequest: (threadId, requestType, toolCallCount = 0, inputTokens = 0, outputTokens = 0, status = 'success', errorMessage = null) => {
         try {
             const session = llmLogOps.getSessionByThreadId(threadId);
@@ -303,20 +2110,11 @@ const llmLogOps = {
         }
     },
 
-    getSessions: (page = 1, limit = 50, userId = null) => {
+    getSessions: (page = 1, limit = 50, userId = null, groupId = null) => {
         const offset = (page - 1) * limit;
-        let query = `SELECT * FROM llm_sessions`;
-        let params = [];
-
-        if (userId) {
-            query += ` WHERE userId = ?`;
-            params.push(parseInt(userId));
-        }
-
-        query += ` ORDER BY startedAt DESC LIMIT ? OFFSET ?`;
-        params.push(limit, offset);
+        const { where, params } = sessionFilter({ userId, groupId });
 
-        const result = db.exec(query, params);
+        const result = db.exec(`SELECT * FROM llm_sessions${where} ORDER BY startedAt DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
         if (result.length === 0) return [];
         const columns = result[0].columns;
         return result[0].values.map(row =>
@@ -343,26 +2141,21 @@ const llmLogOps = {
         return { session, requests };
     },
 
-    getStats: (startDate = null, endDate = null) => {
-        let dateFilter = '';
-        let params = [];
-
-        if (startDate && endDate) {
-            dateFilter = ` WHERE startedAt >= ? AND startedAt <= ?`;
-            params = [startDate, endDate];
-        }
+    getStats: (startDate = null, endDate = null, groupId = null) => {
+        const { where, params } = sessionFilter({ startDate, endDate, groupId });
+        const sessionsWhere = sessionFilter({ startDate, endDate, groupId, alias: 's' }).where;
 
-        const totalSessionsResult = db.exec(`SELECT COUNT(*) as count FROM llm_sessions${dateFilter}`, params);
+        const totalSessionsResult = db.exec(`SELECT COUNT(*) as count FROM llm_sessions${where}`, params);
         const totalSessions = totalSessionsResult[0]?.values[0]?.[0] || 0;
 
-        const totalTokensResult = db.exec(`SELECT COALESCE(SUM(totalInputTokens), 0) as input, COALESCE(SUM(totalOutputTokens), 0) as output FROM llm_sessions${dateFilter}`, params);
+        const totalTokensResult = db.exec(`SELECT COALESCE(SUM(totalInputTokens), 0) as input, COALESCE(SUM(totalOutputTokens), 0) as output FROM llm_sessions${where}`, params);
         const totalInputTokens = totalTokensResult[0]?.values[0]?.[0] || 0;
         const totalOutputTokens = totalTokensResult[0]?.values[0]?.[1] || 0;
 
-        const totalRequestsResult = db.exec(`SELECT COUNT(*) as count FROM llm_requests r JOIN llm_sessions s ON r.sessionId = s.id${dateFilter.replace('startedAt', 's.startedAt')}`, params);
+        const totalRequestsResult = db.exec(`SELECT COUNT(*) as count FROM llm_requests r JOIN llm_sessions s ON r.sessionId = s.id${sessionsWhere}`, params);
         const totalRequests = totalRequestsResult[0]?.values[0]?.[0] || 0;
 
-        const errorSessionsResult = db.exec(`SELECT COUNT(*) as count FROM llm_sessions WHERE status = 'error'${dateFilter ? ' AND' + dateFilter.replace('WHERE', '') : ''}`, params);
+        const errorSessionsResult = db.exec(`SELECT COUNT(*) as count FROM llm_sessions${where ? `${where} AND` : ' WHERE'} status = 'error'`, params);
         const errorSessions = errorSessionsResult[0]?.values[0]?.[0] || 0;
 
         // Get per-user stats
@@ -370,7 +2163,7 @@ const llmLogOps = {
             SELECT userId, userEmail, COUNT(*) as sessions, 
                    COALESCE(SUM(totalInputTokens), 0) as inputTokens, 
                    COALESCE(SUM(totalOutputTokens), 0) as outputTokens
-            FROM llm_sessions${dateFilter}
+            FROM llm_sessions${where}
             GROUP BY userId, userEmail
             ORDER BY sessions DESC
         `, params);
@@ -393,16 +2186,72 @@ const llmLogOps = {
         };
     },
 
-    getTotalSessionCount: (userId = null) => {
-        let query = `SELECT COUNT(*) as count FROM llm_sessions`;
-        let params = [];
-        if (userId) {
-            query += ` WHERE userId = ?`;
-            params.push(parseInt(userId));
-        }
-        const result = db.exec(query, params);
+    // Requests and tokens per day (UTC) over the last `days` days, oldest first; days without usage are omitted
+    getDailyUsage: (userId, days) => {
+        const result = db.exec(`
+            SELECT date(r.timestamp) as date, COUNT(*) as requests,
+                   COALESCE(SUM(r.inputTokens), 0) as inputTokens, COALESCE(SUM(r.outputTokens), 0) as outputTokens
+            FROM llm_requests r
+            JOIN llm_sessions s ON s.id = r.sessionId
+            WHERE s.userId = ? AND r.timestamp >= date('now', ?)
+            GROUP BY date(r.timestamp)
+            ORDER BY date
+        `, [parseInt(userId), `-${parseInt(days) - 1} days`]);
+        if (result.length === 0) return [];
+        const columns = result[0].columns;
+        return result[0].values.map(row =>
+            columns.reduce((obj, col, i) => ({ ...obj, [col]: row[i] }), {})
+        );
+    },
+
+    getTotalSessionCount: (userId = null, groupId = null) => {
+        const { where, params } = sessionFilter({ userId, groupId });
+        const result = db.exec(`SELECT COUNT(*) as count FROM llm_sessions${where}`, params);
         return result[0]?.values[0]?.[0] || 0;
     }
 };
 
-module.exports = { initDatabase, userOps, settingsOps, llmLogOps, dataDir };
+// WHERE clause for llm_sessions filtered by user, group membership and start date range
+function sessionFilter({ userId = null, groupId = null, startDate = null, endDate = null, alias = null }) {
+    const column = (name) => (alias ? `${alias}.${name}` : name);
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+        conditions.push(`${column('userId')} = ?`);
+        params.push(parseInt(userId));
+    }
+    if (groupId) {
+        conditions.push(`${column('userId')} IN (SELECT userId FROM user_group_members WHERE groupId = ?)`);
+        params.push(parseInt(groupId));
+    }
+    if (startDate && endDate) {
+        conditions.push(`${column('startedAt')} >= ? AND ${column('startedAt')} <= ?`);
+        params.push(startDate, endDate);
+    }
+
+    return { where: conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+module.exports = {
+    initDatabase,
+    transaction,
+    userOps,
+    settingsOps,
+    sessionOps,
+    impersonationOps,
+    authAttemptOps,
+    securityEventOps,
+    auditOps,
+    passwordResetOps,
+    editorAuthOps,
+    inviteOps,
+    connectionProfileOps,
+    groupOps,
+    patOps,
+    assistantOps,
+    toolSetOps,
+    agentModeOps,
+    llmLogOps,
+    dataDir
+};
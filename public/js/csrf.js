@@ -0,0 +1,24 @@
+// Echo the csrfToken cookie in an X-CSRF-Token header on state-changing API requests.
+// Loaded before each page's inline script so plain fetch() calls are covered.
+(function () {
+    const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+    function getCsrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)csrfToken=([^;]*)/);
+        return match ? decodeURIComponent(match[1]) : '';
+    }
+
+    const nativeFetch = window.fetch.bind(window);
+
+    window.fetch = (resource, options = {}) => {
+        const method = (options.method || 'GET').toUpperCase();
+        if (!SAFE_METHODS.includes(method)) {
+            const headers = new Headers(options.headers || {});
+            headers.set('X-CSRF-Token', getCsrfToken());
+            options = { ...options, headers };
+        }
+        return nativeFetch(resource, options);
+    };
+
+    window.getCsrfToken = getCsrfToken;
+})();
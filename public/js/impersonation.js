@@ -0,0 +1,48 @@
+// Banner shown while an admin is viewing the portal as another user. Pages pass the
+// impersonation field of their /api/auth/me response to showImpersonationBanner().
+(function () {
+    const CHECK_INTERVAL_MS = 15 * 1000;
+
+    async function endImpersonation() {
+        try {
+            await fetch('/api/auth/impersonation/end', { method: 'POST' });
+        } finally {
+            window.location.href = '/admin';
+        }
+    }
+
+    function showImpersonationBanner(impersonation, user) {
+        if (!impersonation) return;
+
+        // SQLite timestamps are UTC without a zone
+        const expiresAt = new Date(impersonation.expiresAt.replace(' ', 'T') + 'Z');
+
+        const banner = document.createElement('div');
+        banner.className = 'impersonation-banner';
+        banner.setAttribute('role', 'status');
+
+        const text = document.createElement('span');
+        const stopBtn = document.createElement('button');
+        stopBtn.className = 'btn btn-secondary btn-sm';
+        stopBtn.textContent = 'Stop impersonating';
+        stopBtn.addEventListener('click', endImpersonation);
+
+        function update() {
+            const minutesLeft = Math.ceil((expiresAt - Date.now()) / 60000);
+            if (minutesLeft <= 0) {
+                window.location.href = '/admin';
+                return;
+            }
+            text.textContent = `👁 ${impersonation.adminEmail}, you are viewing the portal as ${user.email}. ` +
+                `Everything you do is recorded. Ends in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`;
+        }
+
+        update();
+        setInterval(update, CHECK_INTERVAL_MS);
+
+        banner.append(text, stopBtn);
+        document.body.prepend(banner);
+    }
+
+    window.showImpersonationBanner = showImpersonationBanner;
+})();
@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const { agentModeOps } = require('../models/database');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validateModeId, validateModeDetails, validateModeSettings } = require('../utils/agentModes');
+
+const SETTING_FIELDS = ['instructions', 'allowedTools', 'model', 'temperature'];
+
+function modeTarget(mode) {
+    return { type: 'agent_mode', id: mode.id, label: mode.name };
+}
+
+// How a mode's sessions run; what each version records
+function modeSettings(mode) {
+    return {
+        instructions: mode.instructions,
+        allowedTools: mode.allowedTools,
+        model: mode.model,
+        temperature: mode.temperature
+    };
+}
+
+function modeResponse(mode) {
+    return {
+        id: mode.id,
+        name: mode.name,
+        description: mode.description,
+        enabled: mode.enabled,
+        version: mode.currentVersion,
+        ...modeSettings(mode),
+        sessionCount: mode.sessionCount,
+        updatedAt: mode.updatedAt,
+        default: mode.id === agentModeOps.getDefaultId()
+    };
+}
+
+// Empty model and temperature fields in the form mean "use the default"
+function normalizeSettings({ instructions, allowedTools, model, temperature }) {
+    return {
+        instructions: typeof instructions === 'string' ? instructions.trim() : instructions,
+        allowedTools: allowedTools ?? null,
+        model: typeof model === 'string' ? model.trim() || null : model ?? null,
+        temperature: temperature === '' ? null : temperature ?? null
+    };
+}
+
+/**
+ * GET /api/agent-modes
+ * List agent modes with their current settings (modes:manage)
+ */
+router.get('/', verifyToken, requirePermission('modes:manage'), (req, res) => {
+    try {
+        res.json({ modes: agentModeOps.getAll().map(modeResponse) });
+    } catch (error) {
+        console.error('Get agent modes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/agent-modes/:id
+ * A mode with every version of its settings, newest first (modes:manage)
+ */
+router.get('/:id', verifyToken, requirePermission('modes:manage'), (req, res) => {
+    try {
+        const mode = agentModeOps.findById(req.params.id);
+
+        if (!mode) {
+            return res.status(404).json({ error: 'Agent mode not found' });
+        }
+
+        res.json({ ...modeResponse(mode), versions: agentModeOps.getVersions(mode.id) });
+    } catch (error) {
+        console.error('Get agent mode error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/agent-modes
+ * Create a mode (modes:manage)
+ */
+router.post('/', verifyToken, requirePermission('modes:manage'), (req, res) => {
+    try {
+        const { id, name, description } = req.body;
+        const settings = normalizeSettings(req.body);
+
+        const validationError = validateModeId(id) || validateModeDetails({ name, description }) || validateModeSettings(settings);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const created = agentModeOps.create(
+            { id, name: name.trim(), description: description?.trim() || null },
+            settings,
+            req.user.id,
+            req.user.email
+        );
+
+        if (!created) {
+            return res.status(409).json({ error: `An agent mode with the ID "${id}" already exists` });
+        }
+
+        const mode = agentModeOps.findById(id);
+        recordAudit(req, 'agent_mode_created', {
+            target: modeTarget(mode),
+            after: { name: mode.name, description: mode.description, version: 1, ...settings }
+        });
+
+        res.status(201).json({ message: `Agent mode ${mode.name} created`, id });
+    } catch (error) {
+        console.error('Create agent mode error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/agent-modes/:id
+ * Update a mode. Changing instructions, allowedTools, model or temperature adds a version
+ * that new sessions use; open sessions keep theirs (modes:manage)
+ */
+router.put('/:id', verifyToken, requirePermission('modes:manage'), (req, res) => {
+    try {
+        const mode = agentModeOps.findById(req.params.id);
+
+        if (!mode) {
+            return res.status(404).json({ error: 'Agent mode not found' });
+        }
+
+        const { name, description, enabled } = req.body;
+
+        const detailsError = validateModeDetails({ name, description });
+        if (detailsError) {
+            return res.status(400).json({ error: detailsError });
+        }
+
+        if (enabled === false && mode.id === agentModeOps.getDefaultId()) {
+            return res.status(400).json({ error: 'The default mode cannot be disabled. Make another mode the default first.' });
+        }
+
+        // Unsent settings keep their current values
+        const sent = Object.fromEntries(SETTING_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+        const settings = normalizeSettings({ ...modeSettings(mode), ...sent });
+        const settingsChanged = JSON.stringify(settings) !== JSON.stringify(normalizeSettings(modeSettings(mode)));
+
+        if (settingsChanged) {
+            const settingsError = validateModeSettings(settings);
+            if (settingsError) {
+                return res.status(400).json({ error: settingsError });
+            }
+        }
+
+        agentModeOps.update(mode.id, {
+            name: name?.trim(),
+            description: description === undefined ? undefined : description?.trim() || null,
+            enabled: enabled === undefined ? undefined : Boolean(enabled)
+        });
+        const version = settingsChanged ? agentModeOps.addVersion(mode.id, settings, req.user.id, req.user.email) : mode.currentVersion;
+
+        const updated = agentModeOps.findById(mode.id);
+        recordAudit(req, 'agent_mode_updated', {
+            target: modeTarget(updated),
+            before: { name: mode.name, description: mode.description, enabled: mode.enabled, version: mode.currentVersion, ...modeSettings(mode) },
+            after: { name: updated.name, description: updated.description, enabled: updated.enabled, version, ...modeSettings(updated) }
+        });
+
+        res.json({
+            message: settingsChanged ? `Agent mode ${updated.name} updated to version ${version}` : `Agent mode ${updated.name} updated`,
+            version
+        });
+    } catch (error) {
+        console.error('Update agent mode error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/agent-modes/:id/default
+ * Make a mode the one used when the extension doesn't pick one (modes:manage)
+ */
+router.put('/:id/default', verifyToken, requirePermission('modes:manage'), (req, res) => {
+    try {
+        const mode = agentModeOps.findById(req.params.id);
+
+        if (!mode) {
+            return res.status(404).json({ error: 'Agent mode not found' });
+        }
+
+        if (!mode.enabled) {
+            return res.status(400).json({ error: 'Enable this mode before making it the default' });
+        }
+
+        const previous = agentModeOps.getDefaultId();
+        agentModeOps.setDefaultId(mode.id);
+        recordAudit(req, 'agent_mode_made_default', {
+            target: modeTarget(mode),
+            before: { defaultMode: previous },
+            after: { defaultMode: mode.id }
+        });
+
+        res.json({ message: `${mode.name} is now the default mode` });
+    } catch (error) {
+        console.error('Set default agent mode error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
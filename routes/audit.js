@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { auditOps } = require('../models/database');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { toCsv } = require('../utils/csv');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PAGE_SIZE = 200;
+const CSV_COLUMNS = ['id', 'createdAt', 'actorId', 'actorEmail', 'action', 'targetType', 'targetId', 'targetLabel',
+    'before', 'after', 'ipAddress', 'userAgent'];
+
+// Filters shared by the list and export endpoints
+function parseFilter(query) {
+    const { actorId, action, targetType, targetId, startDate, endDate } = query;
+
+    for (const [label, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value && !DATE_REGEX.test(value)) {
+            throw new Error(`${label} must be a date like 2024-01-31`);
+        }
+    }
+
+    return {
+        actorId: actorId || null,
+        action: action || null,
+        targetType: targetType || null,
+        targetId: targetId || null,
+        startDate: startDate || null,
+        endDate: endDate || null
+    };
+}
+
+/**
+ * GET /api/audit
+ * Audit trail of privileged actions, newest first, with pagination.
+ * Filters: actorId, action, targetType, targetId, startDate, endDate (YYYY-MM-DD, inclusive)
+ */
+router.get('/', verifyToken, requirePermission('audit:read'), (req, res) => {
+    try {
+        let filter;
+        try {
+            filter = parseFilter(req.query);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 50, MAX_PAGE_SIZE);
+        const total = auditOps.count(filter);
+
+        res.json({
+            entries: auditOps.search(filter, page, limit),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/audit/filters
+ * Actions and actors that appear in the audit log, for the filter dropdowns
+ */
+router.get('/filters', verifyToken, requirePermission('audit:read'), (req, res) => {
+    try {
+        res.json(auditOps.getFilterOptions());
+    } catch (error) {
+        console.error('Get audit filters error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/audit/export?format=csv|json
+ * Download every entry matching the same filters as GET /api/audit.
+ * Exports are themselves recorded in the audit log.
+ */
+router.get('/export', verifyToken, requirePermission('audit:read'), (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be csv or json' });
+        }
+
+        let filter;
+        try {
+            filter = parseFilter(req.query);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const entries = auditOps.search(filter, 1, null);
+        recordAudit(req, 'audit_log_exported', {
+            target: { type: 'audit_log' },
+            after: { format, entries: entries.length, filter }
+        });
+
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+            return res.json({ exportedAt: new Date().toISOString(), filter, entries });
+        }
+
+        res.type('text/csv').send(toCsv(CSV_COLUMNS, entries));
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,19 +1,130 @@
 const express = require('express');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const router = express.Router();
-const { userOps } = require('../models/database');
-const { generateToken, verifyToken } = require('../middleware/auth');
+const { userOps, sessionOps, passwordResetOps, editorAuthOps, inviteOps, groupOps, impersonationOps, securityEventOps } = require('../models/database');
+const totp = require('../utils/totp');
+const { sendMail, getPortalUrl } = require('../utils/mailer');
+const { findUsableInvite, evaluateSignup, recordSignupDecision } = require('../utils/signupPolicy');
+const { getPermissions } = require('../utils/permissions');
+const { FORCED_RESET_TOKEN_TTL_MINUTES, hashResetToken, issuePasswordResetToken } = require('../utils/passwordReset');
+const { getAccountStatusError } = require('../utils/accountStatus');
+const { recordAudit } = require('../utils/audit');
+const { notifyUser } = require('../utils/notifications');
+const {
+    verifyToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    isTwoFactorSetupRequired,
+    createSession,
+    refreshSession,
+    revokeAllSessions,
+    setAuthCookies,
+    clearAuthCookies,
+    IMPERSONATION_COOKIE,
+    readImpersonationId,
+    denyImpersonation
+} = require('../middleware/auth');
+const { csrfProtection, getAuthCookies } = require('../middleware/csrf');
+const {
+    throttleByIp,
+    getAccountLock,
+    applyProgressiveDelay,
+    recordFailedSignin,
+    recordSuccessfulSignin
+} = require('../middleware/throttle');
 
-// Sign up - always creates a regular user (no role selection)
-router.post('/signup', (req, res) => {
+// Password reset links from email are valid for an hour
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Passwords that shipped as defaults in earlier releases; accounts using them must rotate
+const KNOWN_DEFAULT_PASSWORDS = ['Admin@123'];
+
+// Returns an error message if the password doesn't meet the policy
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 6) {
+        return 'Password must be at least 6 characters';
+    }
+    if (KNOWN_DEFAULT_PASSWORDS.includes(password)) {
+        return 'This password is a published default. Please choose a different one.';
+    }
+    return null;
+}
+
+// Start a session for a fully authenticated user and send the signin response
+function completeSignin(user, req, res) {
+    recordSuccessfulSignin(user.email, req);
+
+    // An admin flagged this account; it must set a new password before getting a session
+    if (user.mustChangePassword) {
+        return res.json({
+            message: 'You must set a new password before signing in',
+            passwordChangeRequired: true,
+            resetToken: issuePasswordResetToken(user.id, FORCED_RESET_TOKEN_TTL_MINUTES)
+        });
+    }
+
+    const tokens = createSession(user, req);
+
+    // Set HTTP-only cookies
+    setAuthCookies(res, tokens);
+
+    res.json({
+        message: 'Signed in successfully',
+        user: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            permissions: getPermissions(user.role),
+            isApproved: user.isApproved
+        },
+        token: tokens.token,
+        expiresIn: tokens.expiresIn
+    });
+}
+
+function sendAccountLocked(res, lockedUntil) {
+    return res.status(423).json({
+        error: 'This account is temporarily locked after too many failed sign-in attempts. Please try again later.',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil
+    });
+}
+
+// Check an OTP (or a single-use recovery code) for a user with 2FA enabled
+function verifySecondFactor(userId, code) {
+    const twoFactor = userOps.getTwoFactor(userId);
+    if (!twoFactor?.enabled) {
+        return false;
+    }
+
+    const step = totp.verifyCode(twoFactor.secret, code, twoFactor.lastUsedStep);
+    if (step !== null) {
+        userOps.setTotpLastUsedStep(userId, step);
+        return true;
+    }
+
+    const codeHash = totp.hashRecoveryCode(code);
+    if (twoFactor.recoveryCodes.includes(codeHash)) {
+        userOps.setRecoveryCodes(userId, twoFactor.recoveryCodes.filter(h => h !== codeHash));
+        return true;
+    }
+
+    return false;
+}
+
+// Sign up - always creates a regular user (no role selection); domain policy and invites decide approval
+router.post('/signup', throttleByIp('signup'), (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { email, password, inviteToken } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password are required' });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
         }
 
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -21,15 +132,44 @@ router.post('/signup', (req, res) => {
             return res.status(400).json({ error: 'Invalid email format' });
         }
 
-        const user = userOps.create(email, password);
+        let invite = null;
+        if (inviteToken) {
+            invite = findUsableInvite(inviteToken, email);
+            if (!invite) {
+                return res.status(400).json({ error: 'This invite link is invalid, expired or for a different email address', code: 'INVITE_INVALID' });
+            }
+        }
+
+        const policy = evaluateSignup(email, invite);
+
+        if (policy.decision === 'blocked') {
+            recordSignupDecision(policy, { email, ipAddress: req.ip });
+            return res.status(403).json({ error: 'Signups from this email domain are not allowed', code: 'DOMAIN_BLOCKED' });
+        }
+
+        const user = userOps.create(email, password, { isApproved: policy.isApproved, approvalReason: policy.reason });
 
         if (!user) {
             return res.status(409).json({ error: 'Email already registered' });
         }
 
+        if (invite) {
+            inviteOps.recordUse(invite.id);
+            if (invite.connectionProfileId) {
+                userOps.setConnectionProfile(user.id, invite.connectionProfileId);
+            }
+            if (invite.groupId) {
+                groupOps.addMember(invite.groupId, user.id);
+            }
+        }
+
+        recordSignupDecision(policy, { userId: user.id, email, ipAddress: req.ip });
+
         res.status(201).json({
-            message: 'Account created successfully. Please wait for admin approval.',
-            user: { id: user.id, email: user.email, role: user.role }
+            message: user.isApproved
+                ? 'Account created successfully. You can sign in now.'
+                : 'Account created successfully. Please wait for admin approval.',
+            user: { id: user.id, email: user.email, role: user.role, isApproved: user.isApproved }
         });
     } catch (error) {
         console.error('Signup error:', error);
@@ -38,7 +178,7 @@ router.post('/signup', (req, res) => {
 });
 
 // Sign in
-router.post('/signin', (req, res) => {
+router.post('/signin', throttleByIp('signin'), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -48,49 +188,518 @@ router.post('/signin', (req, res) => {
 
         const user = userOps.findByEmail(email);
 
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const lockedUntil = getAccountLock(user);
+        if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil);
         }
 
-        if (!userOps.verifyPassword(user, password)) {
+        await applyProgressiveDelay(email);
+
+        if (!user || !userOps.verifyPassword(user, password)) {
+            recordFailedSignin(email, user, req);
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const token = generateToken(user.id);
+        // Only reported once the password is right, so it doesn't reveal which emails exist
+        const statusError = getAccountStatusError(user);
+        if (statusError) {
+            return res.status(403).json(statusError);
+        }
+
+        // Still on a published default password: force a rotation
+        if (KNOWN_DEFAULT_PASSWORDS.includes(password) && !user.mustChangePassword) {
+            userOps.setMustChangePassword(user.id, true);
+            user.mustChangePassword = 1;
+        }
+
+        // With 2FA on, the password only earns a challenge token for the OTP step
+        if (user.totpEnabled) {
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: generateChallengeToken(user.id)
+            });
+        }
+
+        completeSignin(user, req, res);
+    } catch (error) {
+        console.error('Signin error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Second signin step: OTP or recovery code against a pending challenge token
+router.post('/2fa/verify', throttleByIp('signin'), async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({ error: 'Challenge token and code are required' });
+        }
+
+        const userId = verifyChallengeToken(challengeToken);
+        const user = userId ? userOps.findById(userId) : null;
+
+        if (!user) {
+            return res.status(401).json({ error: 'Sign-in challenge expired. Please sign in again.', code: 'CHALLENGE_EXPIRED' });
+        }
+
+        const lockedUntil = getAccountLock(user);
+        if (lockedUntil) {
+            return sendAccountLocked(res, lockedUntil);
+        }
+
+        await applyProgressiveDelay(user.email);
+
+        if (!verifySecondFactor(user.id, String(code).trim())) {
+            recordFailedSignin(user.email, user, req);
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        const statusError = getAccountStatusError(user);
+        if (statusError) {
+            return res.status(403).json(statusError);
+        }
+
+        completeSignin(user, req, res);
+    } catch (error) {
+        console.error('2FA verify error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Set HTTP-only cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+// Change password - requires the current password; signs out all other sessions
+router.post('/change-password', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        const user = userOps.findByEmail(req.user.email);
+        if (!userOps.verifyPassword(user, currentPassword)) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        userOps.updatePassword(user.id, newPassword);
+
+        // Revoke everything, then start a fresh session for this client
+        revokeAllSessions(user.id);
+        const tokens = createSession(userOps.findById(user.id), req);
+        setAuthCookies(res, tokens);
+
+        notifyUser(user, 'securityAlerts', {
+            subject: 'Your CodeAlly Portal password was changed',
+            text: `The password for your CodeAlly Portal account (${user.email}) was just changed and your other sessions were signed out.\n\n` +
+                `If this wasn't you, reset your password at ${getPortalUrl(req)}/forgot-password and contact an administrator.`
         });
 
+        res.json({ message: 'Password changed successfully', token: tokens.token, expiresIn: tokens.expiresIn });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Forgot password - emails a single-use reset link. Always responds the same
+// way so it can't be used to discover which emails are registered.
+router.post('/forgot-password', throttleByIp('password_reset'), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = userOps.findByEmail(email);
+
+        if (user && user.status !== 'deleted') {
+            const token = issuePasswordResetToken(user.id, RESET_TOKEN_TTL_MINUTES);
+            const resetUrl = `${getPortalUrl(req)}/reset-password?token=${encodeURIComponent(token)}`;
+
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your CodeAlly Portal password',
+                    text: `A password reset was requested for your CodeAlly Portal account.\n\n` +
+                        `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:\n${resetUrl}\n\n` +
+                        `If you didn't request this, you can ignore this email.`
+                });
+            } catch (mailError) {
+                console.error('Password reset email error:', mailError);
+            }
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reset password with a token from email or a forced-reset signin
+router.post('/reset-password', (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Reset token and new password are required' });
+        }
+
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        const tokenHash = hashResetToken(token);
+        const userId = passwordResetOps.findValid(tokenHash);
+        const user = userId && userOps.findById(userId);
+
+        if (!user) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        passwordResetOps.consume(tokenHash, userId);
+        userOps.updatePassword(userId, newPassword);
+        revokeAllSessions(userId);
+
+        notifyUser(user, 'securityAlerts', {
+            subject: 'Your CodeAlly Portal password was reset',
+            text: `The password for your CodeAlly Portal account (${user.email}) was just reset and all sessions were signed out.\n\n` +
+                `If this wasn't you, contact an administrator.`
+        });
+
+        res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Exchange a refresh token (body or cookie) for a new access/refresh token pair
+router.post('/refresh', csrfProtection, (req, res) => {
+    try {
+        const fromCookie = !req.body.refreshToken;
+        const refreshToken = req.body.refreshToken || getAuthCookies(req).refreshToken;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const refreshed = refreshSession(refreshToken);
+
+        if (!refreshed) {
+            if (fromCookie) {
+                clearAuthCookies(res);
+            }
+            return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' });
+        }
+
+        const statusError = getAccountStatusError(refreshed.user);
+        if (statusError) {
+            return res.status(403).json(statusError);
+        }
+
+        if (fromCookie) {
+            setAuthCookies(res, refreshed);
+            return res.json({ token: refreshed.token, expiresIn: refreshed.expiresIn });
+        }
+
         res.json({
-            message: 'Signed in successfully',
-            user: {
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                isApproved: user.isApproved
-            },
-            token
+            token: refreshed.token,
+            refreshToken: refreshed.refreshToken,
+            expiresIn: refreshed.expiresIn
         });
     } catch (error) {
-        console.error('Signin error:', error);
+        console.error('Refresh error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Sign out
-router.post('/signout', (req, res) => {
-    res.clearCookie('token');
+// Sign out - revokes the current session
+router.post('/signout', csrfProtection, (req, res) => {
+    try {
+        // Signing out also ends an impersonation in progress
+        const impersonationId = readImpersonationId(getAuthCookies(req)[IMPERSONATION_COOKIE]);
+        if (impersonationId) {
+            impersonationOps.end(impersonationId);
+        }
+
+        const refreshToken = req.body?.refreshToken || getAuthCookies(req).refreshToken;
+        if (typeof refreshToken === 'string' && refreshToken.includes('.')) {
+            sessionOps.revoke(refreshToken.split('.')[0]);
+        }
+    } catch (error) {
+        console.error('Signout error:', error);
+    }
+
+    clearAuthCookies(res);
     res.json({ message: 'Signed out successfully' });
 });
 
+// Sign out everywhere - revokes every session and access token for the current user
+router.post('/signout-all', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        revokeAllSessions(req.user.id);
+        clearAuthCookies(res);
+        res.json({ message: 'Signed out of all sessions' });
+    } catch (error) {
+        console.error('Signout all error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get current user
 router.get('/me', verifyToken, (req, res) => {
-    res.json({ user: req.user });
+    res.json({
+        user: { ...req.user, permissions: getPermissions(req.user.role) },
+        twoFactorSetupRequired: isTwoFactorSetupRequired(req.user),
+        impersonation: req.impersonation ? {
+            adminEmail: req.impersonation.admin.email,
+            reason: req.impersonation.reason,
+            expiresAt: req.impersonation.expiresAt
+        } : null
+    });
+});
+
+// Stop impersonating and go back to the admin's own session
+router.post('/impersonation/end', verifyToken, (req, res) => {
+    try {
+        if (!req.impersonation) {
+            return res.status(400).json({ error: 'You are not impersonating anyone' });
+        }
+
+        impersonationOps.end(req.impersonation.id);
+        res.clearCookie(IMPERSONATION_COOKIE);
+
+        securityEventOps.record('impersonation_ended', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `By ${req.impersonation.admin.email}`
+        });
+        recordAudit(req, 'impersonation_ended', {
+            target: { type: 'user', id: req.user.id, label: req.user.email },
+            after: { impersonationId: req.impersonation.id }
+        });
+
+        res.json({ message: 'Impersonation ended' });
+    } catch (error) {
+        console.error('End impersonation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start 2FA enrolment: store a pending secret and return its provisioning URI
+router.post('/2fa/setup', verifyToken, denyImpersonation, async (req, res) => {
+    try {
+        const twoFactor = userOps.getTwoFactor(req.user.id);
+
+        if (twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        userOps.setPendingTotpSecret(req.user.id, secret);
+
+        const otpauthUri = totp.buildOtpAuthUri(secret, req.user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+
+        res.json({ secret, otpauthUri, qrCode });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Confirm enrolment with a first OTP; returns one-time recovery codes
+router.post('/2fa/enable', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        const { code } = req.body;
+        const twoFactor = userOps.getTwoFactor(req.user.id);
+
+        if (twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!twoFactor.secret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = totp.verifyCode(twoFactor.secret, String(code || '').trim());
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid verification code' });
+        }
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        userOps.enableTwoFactor(req.user.id, recoveryCodes.map(totp.hashRecoveryCode), step);
+
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Turn 2FA off; requires the password and a current OTP or recovery code
+router.post('/2fa/disable', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({ error: 'Password and verification code are required' });
+        }
+
+        const user = userOps.findByEmail(req.user.email);
+        if (!userOps.verifyPassword(user, password)) {
+            return res.status(401).json({ error: 'Invalid password' });
+        }
+
+        if (!userOps.getTwoFactor(req.user.id).enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!verifySecondFactor(req.user.id, String(code).trim())) {
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        userOps.disableTwoFactor(req.user.id);
+
+        notifyUser(req.user, 'securityAlerts', {
+            subject: 'Two-factor authentication was turned off',
+            text: `Two-factor authentication was just turned off for your CodeAlly Portal account (${req.user.email}).\n\n` +
+                `If this wasn't you, change your password and contact an administrator.`
+        });
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replace all recovery codes; requires a current OTP
+router.post('/2fa/recovery-codes', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        const { code } = req.body;
+        const twoFactor = userOps.getTwoFactor(req.user.id);
+
+        if (!twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const step = totp.verifyCode(twoFactor.secret, String(code || '').trim(), twoFactor.lastUsedStep);
+        if (step === null) {
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+        userOps.setTotpLastUsedStep(req.user.id, step);
+
+        const recoveryCodes = totp.generateRecoveryCodes();
+        userOps.setRecoveryCodes(req.user.id, recoveryCodes.map(totp.hashRecoveryCode));
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Editor login: authorization codes are single-use and expire quickly
+const EDITOR_CODE_TTL_SECONDS = 45;
+const codeChallengeRegex = /^[A-Za-z0-9_-]{43,128}$/;
+// RFC 7636 section 4.1
+const codeVerifierRegex = /^[A-Za-z0-9._~-]{43,128}$/;
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Issue a one-time authorization code bound to the extension's code_challenge
+router.post('/editor/authorize', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        const { codeChallenge, codeChallengeMethod = 'S256' } = req.body;
+
+        if (!codeChallenge || !codeChallengeRegex.test(codeChallenge)) {
+            return res.status(400).json({ error: 'A valid code challenge is required' });
+        }
+
+        if (codeChallengeMethod !== 'S256') {
+            return res.status(400).json({ error: 'Unsupported code challenge method' });
+        }
+
+        const code = crypto.randomBytes(32).toString('base64url');
+        editorAuthOps.createCode(hashCode(code), req.user.id, codeChallenge, codeChallengeMethod, EDITOR_CODE_TTL_SECONDS);
+
+        res.json({ code, expiresIn: EDITOR_CODE_TTL_SECONDS });
+    } catch (error) {
+        console.error('Editor authorize error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Exchange an authorization code plus its code_verifier for a token
+router.post('/editor/token', (req, res) => {
+    try {
+        const { code, codeVerifier } = req.body;
+
+        if (!code || !codeVerifier) {
+            return res.status(400).json({ error: 'Code and code verifier are required' });
+        }
+
+        // Checked before the code is consumed, so a malformed request doesn't use it up
+        if (typeof code !== 'string' || typeof codeVerifier !== 'string' || !codeVerifierRegex.test(codeVerifier)) {
+            return res.status(400).json({ error: 'A valid code and code verifier are required' });
+        }
+
+        const authCode = editorAuthOps.consumeCode(hashCode(code));
+
+        if (!authCode) {
+            return res.status(400).json({ error: 'Invalid or expired authorization code' });
+        }
+
+        const expectedChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        const challengeMatches = expectedChallenge.length === authCode.codeChallenge.length &&
+            crypto.timingSafeEqual(Buffer.from(expectedChallenge), Buffer.from(authCode.codeChallenge));
+
+        if (!challengeMatches) {
+            return res.status(400).json({ error: 'Code verifier does not match' });
+        }
+
+        const user = userOps.findById(authCode.userId);
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired authorization code' });
+        }
+
+        const statusError = getAccountStatusError(user);
+        if (statusError) {
+            return res.status(403).json(statusError);
+        }
+
+        const tokens = createSession(user, req);
+
+        res.json({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn,
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                permissions: getPermissions(user.role),
+                isApproved: user.isApproved
+            }
+        });
+    } catch (error) {
+        console.error('Editor token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const { connectionProfileOps, securityEventOps } = require('../models/database');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getAzureClient } = require('../utils/llmSessions');
+const { findGarbage, collectGarbage } = require('../utils/llmAssistants');
+
+// e.g. "prod-gpt4o-eastus"
+const PROFILE_NAME_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Audited view of a profile; the API key is redacted by recordAudit
+function profileSnapshot(profile) {
+    return {
+        name: profile.name,
+        apiKey: profile.apiKey,
+        resourceName: profile.resourceName,
+        deployment: profile.deployment,
+        apiVersion: profile.apiVersion
+    };
+}
+
+function profileTarget(profile) {
+    return { type: 'connection_profile', id: profile.id, label: profile.name };
+}
+
+// Optional text fields: undefined leaves a value alone, '' or null clears it
+function optionalField(value) {
+    if (value === undefined) return undefined;
+    return value === null || String(value).trim() === '' ? null : String(value).trim();
+}
+
+/**
+ * GET /api/connections
+ * List connection profiles with the number of users assigned to each (keys:assign)
+ */
+router.get('/', verifyToken, requirePermission('keys:assign'), (req, res) => {
+    try {
+        res.json({ profiles: connectionProfileOps.getAll() });
+    } catch (error) {
+        console.error('Get connection profiles error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/connections
+ * Create a named Azure OpenAI connection (keys:assign)
+ */
+router.post('/', verifyToken, requirePermission('keys:assign'), (req, res) => {
+    try {
+        const { name, apiKey, resourceName, deploymentName, apiVersion } = req.body;
+
+        if (!name || !PROFILE_NAME_REGEX.test(name)) {
+            return res.status(400).json({ error: 'Name must be 1-64 letters, digits, dots, dashes or underscores' });
+        }
+
+        if (!apiKey || !resourceName || !deploymentName) {
+            return res.status(400).json({ error: 'API key, resource name and deployment name are required' });
+        }
+
+        const id = connectionProfileOps.create({
+            name,
+            apiKey: String(apiKey).trim(),
+            resourceName: optionalField(resourceName),
+            deploymentName: optionalField(deploymentName),
+            apiVersion: optionalField(apiVersion)
+        });
+
+        if (!id) {
+            return res.status(409).json({ error: 'A connection profile with this name already exists' });
+        }
+
+        securityEventOps.record('connection_profile_created', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Profile #${id} "${name}"`
+        });
+        const created = connectionProfileOps.findById(id);
+        recordAudit(req, 'connection_profile_created', {
+            target: profileTarget(created),
+            after: profileSnapshot(created)
+        });
+
+        res.status(201).json({ message: 'Connection profile created', id });
+    } catch (error) {
+        console.error('Create connection profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/connections/:id
+ * Update a profile. Sending apiKey rotates the key for every user assigned to it (keys:assign)
+ */
+router.put('/:id', verifyToken, requirePermission('keys:assign'), (req, res) => {
+    try {
+        const profile = connectionProfileOps.findById(req.params.id);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Connection profile not found' });
+        }
+
+        const { name, apiKey, resourceName, deploymentName, apiVersion } = req.body;
+
+        if (name !== undefined && !PROFILE_NAME_REGEX.test(name)) {
+            return res.status(400).json({ error: 'Name must be 1-64 letters, digits, dots, dashes or underscores' });
+        }
+
+        if ((resourceName !== undefined && !optionalField(resourceName)) ||
+            (deploymentName !== undefined && !optionalField(deploymentName))) {
+            return res.status(400).json({ error: 'Resource name and deployment name cannot be empty' });
+        }
+
+        // An empty key field in the form means "keep the current key"
+        const newApiKey = apiKey ? String(apiKey).trim() : undefined;
+
+        const result = connectionProfileOps.update(profile.id, {
+            name,
+            apiKey: newApiKey,
+            resourceName: optionalField(resourceName),
+            deploymentName: optionalField(deploymentName),
+            apiVersion: optionalField(apiVersion)
+        });
+
+        if (!result) {
+            return res.status(409).json({ error: 'A connection profile with this name already exists' });
+        }
+
+        securityEventOps.record(newApiKey ? 'connection_key_rotated' : 'connection_profile_updated', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Profile #${profile.id} "${name || profile.name}"`
+        });
+        const updated = connectionProfileOps.findById(profile.id);
+        recordAudit(req, newApiKey ? 'connection_key_rotated' : 'connection_profile_updated', {
+            target: profileTarget(updated),
+            before: profileSnapshot(profile),
+            after: profileSnapshot(updated)
+        });
+
+        res.json({ message: newApiKey ? 'Connection profile updated and key rotated' : 'Connection profile updated' });
+    } catch (error) {
+        console.error('Update connection profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/connections/:id
+ * Delete a profile that no user is assigned to (keys:assign)
+ */
+router.delete('/:id', verifyToken, requirePermission('keys:assign'), (req, res) => {
+    try {
+        const profile = connectionProfileOps.findById(req.params.id);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Connection profile not found' });
+        }
+
+        const assignments = connectionProfileOps.countAssignments(profile.id);
+        if (assignments > 0) {
+            return res.status(409).json({
+                error: `This profile is still used by ${assignments} user(s), group(s) or active invite(s). Reassign them first.`,
+                code: 'PROFILE_IN_USE'
+            });
+        }
+
+        connectionProfileOps.delete(profile.id);
+        securityEventOps.record('connection_profile_deleted', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Profile #${profile.id} "${profile.name}"`
+        });
+        recordAudit(req, 'connection_profile_deleted', {
+            target: profileTarget(profile),
+            before: profileSnapshot(profile)
+        });
+
+        res.json({ message: 'Connection profile deleted' });
+    } catch (error) {
+        console.error('Delete connection profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Azure failures while listing or deleting are reported to the admin rather than as a server error
+function sendAzureError(res, error) {
+    res.status(502).json({ error: `Azure OpenAI request failed: ${error.message}`, code: 'AZURE_ERROR' });
+}
+
+/**
+ * GET /api/connections/:id/garbage
+ * Portal-created assistants and threads on the profile's resource that garbage collection would delete (keys:assign)
+ */
+router.get('/:id/garbage', verifyToken, requirePermission('keys:assign'), async (req, res) => {
+    try {
+        const profile = connectionProfileOps.findById(req.params.id);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Connection profile not found' });
+        }
+
+        try {
+            res.json(await findGarbage(getAzureClient(profile), profile));
+        } catch (error) {
+            console.error('Find LLM garbage error:', error);
+            sendAzureError(res, error);
+        }
+    } catch (error) {
+        console.error('Find LLM garbage error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/connections/:id/garbage-collect
+ * Delete stale portal-created assistants and threads on the profile's resource (keys:assign)
+ */
+router.post('/:id/garbage-collect', verifyToken, requirePermission('keys:assign'), async (req, res) => {
+    try {
+        const profile = connectionProfileOps.findById(req.params.id);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'Connection profile not found' });
+        }
+
+        let result;
+        try {
+            result = await collectGarbage(getAzureClient(profile), profile);
+        } catch (error) {
+            console.error('LLM garbage collection error:', error);
+            return sendAzureError(res, error);
+        }
+
+        recordAudit(req, 'llm_garbage_collected', {
+            target: profileTarget(profile),
+            after: {
+                deletedAssistants: result.deletedAssistants,
+                deletedThreads: result.deletedThreads,
+                failed: result.failed
+            }
+        });
+
+        res.json({
+            message: `Deleted ${result.deletedAssistants} assistant(s) and ${result.deletedThreads} thread(s)` +
+                (result.failed ? `; ${result.failed} could not be deleted and are kept for the next run` : ''),
+            ...result
+        });
+    } catch (error) {
+        console.error('LLM garbage collection error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
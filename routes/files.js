@@ -4,7 +4,10 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { settingsOps, dataDir } = require('../models/database');
-const { verifyToken, requireAdmin, requireApproved } = require('../middleware/auth');
+const { verifyToken, allowScope, requirePermission, requireApproved } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { notifySubscribers } = require('../utils/notifications');
+const { getPortalUrl } = require('../utils/mailer');
 
 // Configure upload directory
 const uploadsDir = path.join(dataDir, 'uploads');
@@ -40,13 +43,26 @@ const upload = multer({
     }
 });
 
-// Upload VSIX file (admin only)
-router.post('/upload', verifyToken, requireAdmin, upload.single('vsix'), (req, res) => {
+// The published package as recorded in the audit log, or null if there is none
+function currentVsixSnapshot() {
+    const filename = settingsOps.get('currentVsix');
+    if (!filename) return null;
+    return {
+        filename,
+        originalName: settingsOps.get('vsixOriginalName'),
+        uploadedAt: settingsOps.get('vsixUploadedAt')
+    };
+}
+
+// Upload VSIX file (vsix:publish)
+router.post('/upload', verifyToken, requirePermission('vsix:publish'), upload.single('vsix'), (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        const previous = currentVsixSnapshot();
+
         // Delete old VSIX file if exists
         const oldFile = settingsOps.get('currentVsix');
         if (oldFile) {
@@ -61,6 +77,20 @@ router.post('/upload', verifyToken, requireAdmin, upload.single('vsix'), (req, r
         settingsOps.set('vsixOriginalName', req.file.originalname);
         settingsOps.set('vsixUploadedAt', new Date().toISOString());
 
+        recordAudit(req, 'vsix_uploaded', {
+            target: { type: 'vsix', id: req.file.filename, label: req.file.originalname },
+            before: previous,
+            after: { ...currentVsixSnapshot(), size: req.file.size }
+        });
+
+        // Sent in the background; the upload doesn't wait for the emails
+        notifySubscribers('extensionUpdates', {
+            subject: 'A new version of the CodeAlly extension is available',
+            text: `${req.file.originalname} was just published on the CodeAlly Portal.\n\n` +
+                `Download it from your dashboard: ${getPortalUrl(req)}/dashboard\n\n` +
+                `You can turn these emails off in the Profile section of your dashboard.`
+        }).catch(error => console.error('Extension update notification error:', error));
+
         res.json({
             message: 'VSIX uploaded successfully',
             file: {
@@ -76,7 +106,7 @@ router.post('/upload', verifyToken, requireAdmin, upload.single('vsix'), (req, r
 });
 
 // Get VSIX file info
-router.get('/info', verifyToken, (req, res) => {
+router.get('/info', allowScope('files:read'), verifyToken, (req, res) => {
     try {
         const filename = settingsOps.get('currentVsix');
         const originalName = settingsOps.get('vsixOriginalName');
@@ -105,7 +135,7 @@ router.get('/info', verifyToken, (req, res) => {
 });
 
 // Download VSIX file (approved users only)
-router.get('/download', verifyToken, requireApproved, (req, res) => {
+router.get('/download', allowScope('files:read'), verifyToken, requireApproved, (req, res) => {
     try {
         const filename = settingsOps.get('currentVsix');
         const originalName = settingsOps.get('vsixOriginalName') || 'extension.vsix';
@@ -126,10 +156,11 @@ router.get('/download', verifyToken, requireApproved, (req, res) => {
     }
 });
 
-// Delete current VSIX (admin only)
-router.delete('/delete', verifyToken, requireAdmin, (req, res) => {
+// Delete current VSIX (vsix:publish)
+router.delete('/delete', verifyToken, requirePermission('vsix:publish'), (req, res) => {
     try {
         const filename = settingsOps.get('currentVsix');
+        const previous = currentVsixSnapshot();
 
         if (filename) {
             const filePath = path.join(uploadsDir, filename);
@@ -142,6 +173,13 @@ router.delete('/delete', verifyToken, requireAdmin, (req, res) => {
         settingsOps.set('vsixOriginalName', '');
         settingsOps.set('vsixUploadedAt', '');
 
+        if (previous) {
+            recordAudit(req, 'vsix_deleted', {
+                target: { type: 'vsix', id: previous.filename, label: previous.originalName },
+                before: previous
+            });
+        }
+
         res.json({ message: 'VSIX file deleted' });
     } catch (error) {
         console.error('Delete error:', error);
@@ -0,0 +1,360 @@
+const express = require('express');
+const router = express.Router();
+const { groupOps, userOps, connectionProfileOps, securityEventOps } = require('../models/database');
+const { verifyToken, requirePermission, requireGroupManager } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+const GROUP_NAME_REGEX = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,63}$/;
+
+// Quotas are positive integers; '' or null means unlimited, undefined leaves the value alone
+function parseQuota(value, label) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    const quota = parseInt(value);
+    if (!Number.isInteger(quota) || quota < 1) {
+        throw new Error(`${label} must be a positive number, or empty for unlimited`);
+    }
+    return quota;
+}
+
+// Validate the editable group fields from a request body
+function parseGroupFields(body) {
+    const { name, description, connectionProfileId, monthlyTokenQuota, monthlyRequestQuota } = body;
+    const fields = {};
+
+    if (name !== undefined) {
+        if (!GROUP_NAME_REGEX.test(String(name).trim())) {
+            throw new Error('Name must be 1-64 letters, digits, spaces, dots, dashes or underscores');
+        }
+        fields.name = String(name).trim();
+    }
+
+    if (description !== undefined) {
+        fields.description = description ? String(description).slice(0, 200) : null;
+    }
+
+    if (connectionProfileId !== undefined) {
+        if (connectionProfileId && !connectionProfileOps.findById(connectionProfileId)) {
+            throw new Error('Connection profile not found');
+        }
+        fields.connectionProfileId = connectionProfileId ? parseInt(connectionProfileId) : null;
+    }
+
+    fields.monthlyTokenQuota = parseQuota(monthlyTokenQuota, 'Monthly token quota');
+    fields.monthlyRequestQuota = parseQuota(monthlyRequestQuota, 'Monthly request quota');
+
+    return fields;
+}
+
+// Pointing a group at a connection profile gives its members that key, so it needs keys:assign
+function isProfileChangeDenied(req, currentProfileId = null) {
+    const { connectionProfileId } = req.body;
+    if (connectionProfileId === undefined || hasPermission(req.user, 'keys:assign')) return false;
+    return (parseInt(connectionProfileId) || null) !== currentProfileId;
+}
+
+const PROFILE_DENIED = { error: 'Your role cannot assign connection profiles', code: 'PERMISSION_DENIED' };
+
+function groupSnapshot(group) {
+    return {
+        name: group.name,
+        description: group.description,
+        connectionProfileId: group.connectionProfileId,
+        monthlyTokenQuota: group.monthlyTokenQuota,
+        monthlyRequestQuota: group.monthlyRequestQuota
+    };
+}
+
+function groupTarget(group) {
+    return { type: 'group', id: group.id, label: group.name };
+}
+
+// Load :id and check the caller manages it (after requireGroupManager)
+function loadManagedGroup(req, res) {
+    const group = groupOps.findById(req.params.id);
+
+    if (!group || (req.managedGroupIds && !req.managedGroupIds.includes(group.id))) {
+        res.status(404).json({ error: 'Group not found' });
+        return null;
+    }
+
+    return group;
+}
+
+/**
+ * GET /api/groups
+ * List groups with member counts and this month's usage.
+ * With users:read every group is listed; group admins see the groups they manage.
+ */
+router.get('/', verifyToken, requireGroupManager('users:read'), (req, res) => {
+    try {
+        res.json({ groups: groupOps.getAll(req.managedGroupIds) });
+    } catch (error) {
+        console.error('Get groups error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/groups/mine
+ * The groups the current user belongs to
+ */
+router.get('/mine', verifyToken, (req, res) => {
+    try {
+        const groups = groupOps.getForUser(req.user.id).map(group => ({
+            ...group,
+            isGroupAdmin: Boolean(group.isGroupAdmin),
+            usage: groupOps.getUsage(group.id)
+        }));
+        res.json({ groups });
+    } catch (error) {
+        console.error('Get my groups error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/groups
+ * Create a group (groups:manage)
+ */
+router.post('/', verifyToken, requirePermission('groups:manage'), (req, res) => {
+    try {
+        if (!req.body.name) {
+            return res.status(400).json({ error: 'Group name is required' });
+        }
+
+        if (isProfileChangeDenied(req)) {
+            return res.status(403).json(PROFILE_DENIED);
+        }
+
+        let fields;
+        try {
+            fields = parseGroupFields(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const id = groupOps.create(fields);
+        if (!id) {
+            return res.status(409).json({ error: 'A group with this name already exists' });
+        }
+
+        securityEventOps.record('group_created', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Group #${id} "${fields.name}"`
+        });
+        const created = groupOps.findById(id);
+        recordAudit(req, 'group_created', { target: groupTarget(created), after: groupSnapshot(created) });
+
+        res.status(201).json({ message: 'Group created', id });
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Update a group's name, default connection profile or quotas (groups:manage;
+ * changing the connection profile also needs keys:assign)
+ */
+router.put('/:id', verifyToken, requirePermission('groups:manage'), (req, res) => {
+    try {
+        const group = groupOps.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        if (isProfileChangeDenied(req, group.connectionProfileId)) {
+            return res.status(403).json(PROFILE_DENIED);
+        }
+
+        let fields;
+        try {
+            fields = parseGroupFields(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        if (!groupOps.update(group.id, fields)) {
+            return res.status(409).json({ error: 'A group with this name already exists' });
+        }
+
+        const updated = groupOps.findById(group.id);
+        recordAudit(req, 'group_updated', {
+            target: groupTarget(updated),
+            before: groupSnapshot(group),
+            after: groupSnapshot(updated)
+        });
+
+        res.json({ message: 'Group updated' });
+    } catch (error) {
+        console.error('Update group error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Delete a group; its members keep their accounts (groups:manage)
+ */
+router.delete('/:id', verifyToken, requirePermission('groups:manage'), (req, res) => {
+    try {
+        const group = groupOps.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        groupOps.delete(group.id);
+        securityEventOps.record('group_deleted', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Group #${group.id} "${group.name}"`
+        });
+        recordAudit(req, 'group_deleted', { target: groupTarget(group), before: groupSnapshot(group) });
+
+        res.json({ message: 'Group deleted' });
+    } catch (error) {
+        console.error('Delete group error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/groups/:id/members
+ * List a group's members (users:read, or the group's admins)
+ */
+router.get('/:id/members', verifyToken, requireGroupManager('users:read'), (req, res) => {
+    try {
+        const group = loadManagedGroup(req, res);
+        if (!group) return;
+
+        res.json({ group, members: groupOps.getMembers(group.id) });
+    } catch (error) {
+        console.error('Get group members error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/groups/:id/members
+ * Add an existing user by email (groups:manage). Group admins bring people in with invites.
+ */
+router.post('/:id/members', verifyToken, requirePermission('groups:manage'), (req, res) => {
+    try {
+        const group = loadManagedGroup(req, res);
+        if (!group) return;
+
+        const { email, isGroupAdmin } = req.body;
+        const user = email ? userOps.findByEmailIgnoreCase(String(email).trim()) : null;
+
+        if (!user || user.status === 'deleted') {
+            return res.status(404).json({ error: 'No account exists for this email' });
+        }
+
+        const { changes } = groupOps.addMember(group.id, user.id, Boolean(isGroupAdmin));
+        if (!changes) {
+            return res.status(409).json({ error: 'User is already a member of this group' });
+        }
+
+        securityEventOps.record('group_member_added', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `${user.email} added to "${group.name}"${isGroupAdmin ? ' as group admin' : ''}`
+        });
+        recordAudit(req, 'group_member_added', {
+            target: groupTarget(group),
+            after: { userId: user.id, email: user.email, isGroupAdmin: Boolean(isGroupAdmin) }
+        });
+
+        res.status(201).json({ message: `${user.email} added to ${group.name}` });
+    } catch (error) {
+        console.error('Add group member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/groups/:id/members/:userId
+ * Make a member a group admin or a regular member (groups:manage)
+ */
+router.put('/:id/members/:userId', verifyToken, requirePermission('groups:manage'), (req, res) => {
+    try {
+        const group = groupOps.findById(req.params.id);
+
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isGroupAdmin = Boolean(req.body.isGroupAdmin);
+        const membership = groupOps.getMembership(group.id, req.params.userId);
+        const { changes } = groupOps.setGroupAdmin(group.id, req.params.userId, isGroupAdmin);
+
+        if (!changes) {
+            return res.status(404).json({ error: 'User is not a member of this group' });
+        }
+
+        securityEventOps.record('group_admin_changed', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `User #${parseInt(req.params.userId)} ${isGroupAdmin ? 'is now a' : 'is no longer a'} group admin of "${group.name}"`
+        });
+        recordAudit(req, 'group_admin_changed', {
+            target: groupTarget(group),
+            before: { userId: parseInt(req.params.userId), isGroupAdmin: Boolean(membership.isGroupAdmin) },
+            after: { userId: parseInt(req.params.userId), isGroupAdmin }
+        });
+
+        res.json({ message: isGroupAdmin ? 'Member is now a group admin' : 'Member is no longer a group admin' });
+    } catch (error) {
+        console.error('Set group admin error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:userId
+ * Remove a member (groups:manage, or the group's admins for regular members)
+ */
+router.delete('/:id/members/:userId', verifyToken, requireGroupManager('groups:manage'), (req, res) => {
+    try {
+        const group = loadManagedGroup(req, res);
+        if (!group) return;
+
+        const membership = groupOps.getMembership(group.id, req.params.userId);
+        if (!membership) {
+            return res.status(404).json({ error: 'User is not a member of this group' });
+        }
+
+        if (req.managedGroupIds && membership.isGroupAdmin) {
+            return res.status(403).json({ error: 'Group admins cannot remove other group admins' });
+        }
+
+        groupOps.removeMember(group.id, req.params.userId);
+        securityEventOps.record('group_member_removed', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `User #${parseInt(req.params.userId)} removed from "${group.name}"`
+        });
+        recordAudit(req, 'group_member_removed', {
+            target: groupTarget(group),
+            before: { userId: parseInt(req.params.userId), isGroupAdmin: Boolean(membership.isGroupAdmin) }
+        });
+
+        res.json({ message: 'Member removed' });
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { inviteOps, connectionProfileOps, groupOps, securityEventOps } = require('../models/database');
+const { verifyToken, requireGroupManager } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { getPortalUrl } = require('../utils/mailer');
+const { hashInviteToken, generateInviteToken, findUsableInvite } = require('../utils/signupPolicy');
+
+const MAX_INVITE_DAYS = 365;
+
+/**
+ * GET /api/invites
+ * List all invites (users:approve); group admins list the invites they created
+ */
+router.get('/', verifyToken, requireGroupManager('users:approve'), (req, res) => {
+    try {
+        res.json({ invites: inviteOps.getAll({ createdBy: req.managedGroupIds ? req.user.id : null }) });
+    } catch (error) {
+        console.error('Get invites error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/invites
+ * Create an invite link that pre-approves new accounts (users:approve).
+ * maxUses: number of signups allowed, or null for unlimited.
+ * connectionProfileId: optional connection profile assigned to accounts created with it (also needs keys:assign).
+ * groupId: optional group that accounts created with it join; group admins must give one of theirs.
+ * The raw token is only returned here.
+ */
+router.post('/', verifyToken, requireGroupManager('users:approve'), (req, res) => {
+    try {
+        const { email, note, maxUses = 1, expiresInDays = 7, connectionProfileId, groupId } = req.body;
+
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        const uses = maxUses === null || maxUses === '' ? null : parseInt(maxUses);
+        if (uses !== null && (!Number.isInteger(uses) || uses < 1)) {
+            return res.status(400).json({ error: 'Max uses must be a positive number, or empty for unlimited' });
+        }
+
+        const days = expiresInDays === null || expiresInDays === '' ? null : parseInt(expiresInDays);
+        if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_INVITE_DAYS)) {
+            return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_INVITE_DAYS} days` });
+        }
+
+        if (connectionProfileId && !hasPermission(req.user, 'keys:assign')) {
+            return res.status(403).json({ error: 'Your role cannot assign connection profiles', code: 'PERMISSION_DENIED' });
+        }
+
+        if (connectionProfileId && !connectionProfileOps.findById(connectionProfileId)) {
+            return res.status(400).json({ error: 'Connection profile not found' });
+        }
+
+        if (groupId && !groupOps.findById(groupId)) {
+            return res.status(400).json({ error: 'Group not found' });
+        }
+
+        // Group admins only bring named people into their own groups, one account per invite
+        if (req.managedGroupIds) {
+            if (!req.managedGroupIds.includes(parseInt(groupId))) {
+                return res.status(403).json({ error: 'Group admins can only invite people to a group they manage', code: 'PERMISSION_DENIED' });
+            }
+            if (!email || uses !== 1) {
+                return res.status(400).json({ error: 'Group admin invites must be for one email and a single use' });
+            }
+        }
+
+        const token = generateInviteToken();
+        const id = inviteOps.create(hashInviteToken(token), {
+            email: email ? email.trim() : null,
+            note: note ? String(note).slice(0, 200) : null,
+            maxUses: uses,
+            expiresInDays: days,
+            connectionProfileId: connectionProfileId || null,
+            groupId: groupId || null,
+            createdBy: req.user.id
+        });
+
+        securityEventOps.record('invite_created', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Invite #${id}${email ? ` for ${email}` : ''}, ${uses === null ? 'unlimited' : uses} use(s)`
+        });
+        recordAudit(req, 'invite_created', {
+            target: { type: 'invite', id, label: email || null },
+            after: {
+                email: email ? email.trim() : null,
+                maxUses: uses,
+                expiresInDays: days,
+                connectionProfileId: connectionProfileId ? parseInt(connectionProfileId) : null,
+                groupId: groupId ? parseInt(groupId) : null
+            }
+        });
+
+        res.status(201).json({
+            message: 'Invite created',
+            id,
+            token,
+            url: `${getPortalUrl(req)}/signup?invite=${encodeURIComponent(token)}`
+        });
+    } catch (error) {
+        console.error('Create invite error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/invites/:id
+ * Revoke an invite so it can no longer be used (users:approve, or the group admin who created it)
+ */
+router.delete('/:id', verifyToken, requireGroupManager('users:approve'), (req, res) => {
+    try {
+        const invite = inviteOps.findById(req.params.id);
+        if (!invite || (req.managedGroupIds && invite.createdBy !== req.user.id)) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        inviteOps.revoke(invite.id);
+        securityEventOps.record('invite_revoked', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Invite #${parseInt(req.params.id)}`
+        });
+        recordAudit(req, 'invite_revoked', { target: { type: 'invite', id: parseInt(req.params.id) } });
+        res.json({ message: 'Invite revoked' });
+    } catch (error) {
+        console.error('Revoke invite error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/invites/lookup/:token
+ * Check an invite from the signup page; returns the bound email, if any
+ */
+router.get('/lookup/:token', (req, res) => {
+    try {
+        const invite = findUsableInvite(req.params.token);
+
+        if (!invite) {
+            return res.status(404).json({ error: 'This invite link is invalid or has expired', code: 'INVITE_INVALID' });
+        }
+
+        res.json({ valid: true, email: invite.email });
+    } catch (error) {
+        console.error('Invite lookup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
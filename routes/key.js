@@ -1,30 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const { userOps } = require('../models/database');
-const { verifyToken } = require('../middleware/auth');
+const { connectionProfileOps, settingsOps } = require('../models/database');
+const { verifyToken, requireApproved } = require('../middleware/auth');
 
 /**
  * GET /api/key
  * Securely fetch the user's API key.
- * Requires valid JWT authentication.
+ * Requires valid JWT authentication and an approved account.
+ * Disabled when an admin turns off key distribution; clients then use /api/llm instead.
  */
-router.get('/', verifyToken, (req, res) => {
+router.get('/', verifyToken, requireApproved, (req, res) => {
     try {
-        const user = userOps.findById(req.user.id);
-
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        if (settingsOps.get('disableKeyDistribution') === '1') {
+            return res.status(403).json({
+                error: 'API keys are not distributed by this portal. Use the /api/llm endpoints instead.',
+                code: 'KEY_DISTRIBUTION_DISABLED'
+            });
         }
 
-        if (!user.apiKey) {
+        const profile = connectionProfileOps.findForUser(req.user.id);
+
+        if (!profile) {
             return res.status(404).json({ error: 'No API key configured' });
         }
 
+        // Admins impersonating a user see whether a key is set, not the key itself
         res.json({
-            apiKey: user.apiKey,
-            resourceName: user.azureResourceName || null,
-            deploymentName: user.azureDeployment || null,
-            apiVersion: user.azureApiVersion || null
+            apiKey: req.impersonation ? `••••${profile.apiKey.slice(-4)}` : profile.apiKey,
+            resourceName: profile.resourceName || null,
+            deploymentName: profile.deployment || null,
+            apiVersion: profile.apiVersion || null
         });
     } catch (error) {
         console.error('Key fetch error:', error);
@@ -1,11 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { AzureOpenAI } = require('openai');
-const { userOps, llmLogOps } = require('../models/database');
-const { verifyToken } = require('../middleware/auth');
-
-// Store active sessions (threadId -> { client, assistantId, userId })
-const activeSessions = new Map();
+const { connectionProfileOps, groupOps, llmLogOps, toolSetOps, agentModeOps } = require('../models/database');
+const { verifyToken, allowScope, requireApproved } = require('../middleware/auth');
+const {
+    COMPLETIONS_ASSISTANT_ID,
+    PORTAL_METADATA,
+    getAzureClient,
+    registerSession,
+    resolveSession,
+    findOpenSession,
+    discardAzureObjects,
+    endSession
+} = require('../utils/llmSessions');
+const { getAssistant } = require('../utils/llmAssistants');
+const { getCurrentToolSet, resolveToolSet } = require('../utils/toolSets');
+const { GENERAL_INSTRUCTIONS, resolveMode, getRunOptions } = require('../utils/agentModes');
+const { flagToolCalls, prepareToolOutputs } = require('../utils/toolCalls');
 
 /**
  * Helper: Check if a run is active
@@ -108,247 +118,116 @@ async function cancelActiveRuns(client, threadId, excludeRunId) {
 }
 
 /**
- * Helper: Get or create Azure OpenAI client for user
+ * Helper: Resolve the connection profile a user's requests go through
  */
-function getAzureClient(user) {
-    if (!user.apiKey || !user.azureResourceName || !user.azureDeployment) {
+function getConnectionProfile(user) {
+    const profile = connectionProfileOps.findForUser(user.id);
+    if (!profile?.apiKey || !profile.resourceName || !profile.deployment) {
         throw new Error('User Azure config not complete');
     }
-
-    return new AzureOpenAI({
-        apiKey: user.apiKey,
-        endpoint: `https://${user.azureResourceName}.openai.azure.com/`,
-        apiVersion: user.azureApiVersion || '2024-05-01-preview',
-        deployment: user.azureDeployment,
-    });
+    return profile;
 }
 
 /**
- * Helper: Get tool definitions (mirrored from backend)
- * These must match the backend's tool definitions for the assistant
+ * Helper: A message if one of the user's groups has used up its monthly quota, else null
  */
-function getToolDefinitions() {
-    return [
-        {
-            type: 'function',
-            function: {
-                name: 'read_file',
-                description: 'Read the contents of a file at the specified path. Use this to examine existing code, configuration files, or any text-based file.',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        path: {
-                            type: 'string',
-                            description: 'Relative path to the file from project root'
-                        }
-                    },
-                    required: ['path']
-                }
-            }
-        },
-        {
-            type: 'function',
-            function: {
-                name: 'write_file',
-                description: 'Write content to a file. Creates the file if it does not exist, or overwrites if it does. Use for creating new files or modifying existing ones.',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        path: {
-                            type: 'string',
-                            description: 'Relative path to the file from project root'
-                        },
-                        content: {
-                            type: 'string',
-                            description: 'The complete content to write to the file'
-                        }
-                    },
-                    required: ['path', 'content']
-                }
-            }
-        },
-        {
-            type: 'function',
-            function: {
-                name: 'list_directory',
-                description: 'List the contents of a directory. Returns files and subdirectories with basic info.',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        path: {
-                            type: 'string',
-                            description: 'Relative path to the directory from project root. Use "." for project root.'
-                        }
-                    },
-                    required: ['path']
-                }
-            }
-        },
-        {
-            type: 'function',
-            function: {
-                name: 'grep_search',
-                description: 'Search for a pattern in files. Useful for finding where something is defined or used in the codebase.',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        pattern: {
-                            type: 'string',
-                            description: 'The search pattern (supports regex)'
-                        },
-                        path: {
-                            type: 'string',
-                            description: 'Directory or file to search in (relative to project root). Use "." for entire project.'
-                        },
-                        include: {
-                            type: 'string',
-                            description: 'Optional glob pattern to filter files (e.g., "*.ts" for TypeScript files)'
-                        }
-                    },
-                    required: ['pattern']
-                }
-            }
-        },
-        {
-            type: 'function',
-            function: {
-                name: 'report_issue',
-                description: 'Report a single WCAG non-compliance issue by appending it to the accessibility report memory file. Use this in Report Mode after analyzing a file (do not fix the issue).',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        file: {
-                            type: 'string',
-                            description: 'Relative file path where the issue was found (relative to project root)'
-                        },
-                        line: {
-                            type: 'number',
-                            description: '1-based line number where the issue was found (use best effort if approximate)'
-                        },
-                        wcagGuideline: {
-                            type: 'string',
-                            description: 'WCAG criterion/guideline (e.g., "1.1.1 Non-text Content")'
-                        },
-                        level: {
-                            type: 'string',
-                            enum: ['A', 'AA', 'AAA'],
-                            description: 'Conformance level (A, AA, or AAA)'
-                        },
-                        severity: {
-                            type: 'string',
-                            enum: ['low', 'medium', 'high', 'critical'],
-                            description: 'Severity of the issue'
-                        },
-                        issue: {
-                            type: 'string',
-                            description: 'Short description of what is non-compliant'
-                        },
-                        recommendation: {
-                            type: 'string',
-                            description: 'Recommended action to address the issue'
-                        },
-                        principle: {
-                            type: 'string',
-                            description: 'Optional: WCAG principle (Perceivable, Operable, Understandable, Robust)'
-                        },
-                        snippet: {
-                            type: 'string',
-                            description: 'Optional: relevant code snippet or excerpt'
-                        }
-                    },
-                    required: ['file', 'line', 'wcagGuideline', 'level', 'severity', 'issue', 'recommendation']
-                }
-            }
-        },
-        {
-            type: 'function',
-            function: {
-                name: 'generate_report',
-                description: 'Generate the accessibility non-compliance report webview from the accumulated report memory file. Call this once after all files have been scanned in Report Mode.',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        title: {
-                            type: 'string',
-                            description: 'Optional report title (e.g., "Accessibility Compliance Report")'
-                        },
-                        filesScanned: {
-                            type: 'number',
-                            description: 'Optional: number of files scanned during the audit'
-                        }
-                    },
-                    required: []
-                }
-            }
-        },
-        {
-            type: 'function',
-            function: {
-                name: 'attempt_completion',
-                description: 'Call this when you have completed the task. Provide a summary of what was accomplished.',
-                parameters: {
-                    type: 'object',
-                    properties: {
-                        result: {
-                            type: 'string',
-                            description: 'Summary of what was accomplished'
-                        },
-                        command: {
-                            type: 'string',
-                            description: 'Optional: A suggested next message the user can click to send in chat (e.g., prompting to start fixing issues or generating a new report)'
-                        }
-                    },
-                    required: ['result']
-                }
-            }
-        }
-    ];
+function getQuotaExceededMessage(user) {
+    const group = groupOps.findExceededQuota(user.id);
+    if (!group) return null;
+    return `Your group "${group.name}" has reached its monthly usage quota. Contact your group admin or an administrator.`;
 }
 
+/**
+ * GET /api/llm/modes
+ * The agent modes the extension can start a session in
+ */
+router.get('/modes', allowScope('llm:use'), verifyToken, requireApproved, (req, res) => {
+    try {
+        const defaultId = agentModeOps.getDefaultId();
+
+        res.json({
+            modes: agentModeOps.getAll()
+                .filter(mode => mode.enabled)
+                .map(mode => ({
+                    id: mode.id,
+                    name: mode.name,
+                    description: mode.description,
+                    version: mode.currentVersion,
+                    default: mode.id === defaultId
+                }))
+        });
+    } catch (error) {
+        console.error('[LLM] Get modes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * POST /api/llm/assistant
- * Initialize an assistant and create a thread for the user session
+ * Create a thread for the user session on a shared assistant for its deployment and instructions.
+ * modeId picks the agent mode (default: the portal's default mode); older extensions send instructions instead.
+ * toolSetVersion is the tool set the extension implements; the session's runs use that version's tools
  */
-router.post('/assistant', verifyToken, async (req, res) => {
+router.post('/assistant', allowScope('llm:use'), verifyToken, requireApproved, async (req, res) => {
     try {
-        const { instructions } = req.body;
+        const { instructions, toolSetVersion, modeId } = req.body;
         const user = req.user;
 
-        // Get Azure client for this user
-        const client = getAzureClient(user);
+        const quotaMessage = getQuotaExceededMessage(user);
+        if (quotaMessage) {
+            return res.status(429).json({ error: 'QUOTA_EXCEEDED', message: quotaMessage });
+        }
 
-        // Create assistant with tools
-        const assistant = await client.beta.assistants.create({
-            name: 'Agentic Coder',
-            instructions: instructions || 'You are an expert AI coding assistant.',
-            tools: getToolDefinitions(),
-            model: user.azureDeployment,
-        });
+        const requested = resolveToolSet(toolSetVersion);
+        if (requested.body) {
+            return res.status(requested.status).json(requested.body);
+        }
+        const { toolSet } = requested;
+        const currentToolSet = getCurrentToolSet();
 
-        // Create thread
-        const thread = await client.beta.threads.create();
+        const selected = resolveMode(modeId, instructions);
+        if (selected.body) {
+            return res.status(selected.status).json(selected.body);
+        }
+        const { mode } = selected;
 
-        // Store session
-        activeSessions.set(thread.id, {
+        // Get Azure client for this user's connection profile; a mode's model replaces the profile's deployment
+        const userProfile = getConnectionProfile(user);
+        const profile = mode?.model ? { ...userProfile, deployment: mode.model } : userProfile;
+        const client = getAzureClient(profile);
+
+        // Reuse the assistant for these instructions, creating it or updating it to the current tools if needed
+        const assistantId = await getAssistant(
             client,
-            assistantId: assistant.id,
-            userId: user.id,
-            deploymentName: user.azureDeployment
-        });
+            profile,
+            mode ? mode.instructions : (instructions || GENERAL_INSTRUCTIONS),
+            currentToolSet.tools
+        );
+
+        // Create thread
+        const thread = await client.beta.threads.create({ metadata: PORTAL_METADATA });
 
-        // Log session creation
+        // Store session; it can't be resumed without its row, so don't leave the thread behind
         try {
-            llmLogOps.createSession(thread.id, assistant.id, user.id, user.email);
-            console.log(`[LLM] Session logged: thread=${thread.id}, user=${user.email}`);
-        } catch (logError) {
-            console.error('[LLM] Failed to log session:', logError);
+            registerSession(thread.id, assistantId, user, profile, client, {
+                toolSetVersion: toolSet.version,
+                modeId: mode?.id,
+                modeVersion: mode?.currentVersion
+            });
+        } catch (error) {
+            await discardAzureObjects(client, { threadId: thread.id });
+            throw error;
         }
 
-        console.log(`[LLM] Session created: thread=${thread.id}, assistant=${assistant.id}, user=${user.email}`);
+        console.log(`[LLM] Session created: thread=${thread.id}, assistant=${assistantId}, mode=${mode ? `${mode.id} v${mode.currentVersion}` : 'custom'}, user=${user.email}`);
 
         res.json({
             threadId: thread.id,
-            assistantId: assistant.id
+            assistantId,
+            toolSetVersion: toolSet.version,
+            currentToolSetVersion: currentToolSet.version,
+            modeId: mode?.id || null,
+            modeVersion: mode?.currentVersion || null
         });
     } catch (error) {
         console.error('[LLM] Assistant init error:', error);
@@ -365,11 +244,35 @@ router.post('/assistant', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/llm/tool-set
+ * The tools of a tool set version (default: the current one), for the extension to check against
+ */
+router.get('/tool-set', allowScope('llm:use'), verifyToken, requireApproved, (req, res) => {
+    try {
+        const toolSet = req.query.version ? toolSetOps.findByVersion(req.query.version) : getCurrentToolSet();
+
+        if (!toolSet) {
+            return res.status(404).json({ error: 'Tool set not found' });
+        }
+
+        res.json({
+            version: toolSet.version,
+            tools: toolSet.tools,
+            current: toolSet.version === toolSetOps.getCurrentVersion(),
+            retired: Boolean(toolSet.retiredAt)
+        });
+    } catch (error) {
+        console.error('[LLM] Get tool set error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * POST /api/llm/chat
  * Send a message and stream the response via SSE
  */
-router.post('/chat', verifyToken, async (req, res) => {
+router.post('/chat', allowScope('llm:use'), verifyToken, requireApproved, async (req, res) => {
     let threadId;
     let message;
     try {
@@ -379,17 +282,19 @@ router.post('/chat', verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Missing threadId or message' });
         }
 
-        const session = activeSessions.get(threadId);
-        if (!session) {
-            return res.status(404).json({ error: 'SESSION_NOT_FOUND', message: 'Thread session not found. Call /assistant first.' });
+        // Loaded from the database, so sessions survive restarts; also checks the user owns it
+        const resolved = resolveSession(threadId, req.user);
+        if (resolved.body) {
+            return res.status(resolved.status).json(resolved.body);
         }
 
-        // Verify user owns this session
-        if (session.userId !== req.user.id) {
-            return res.status(403).json({ error: 'UNAUTHORIZED', message: 'Not authorized to access this session' });
+        const quotaMessage = getQuotaExceededMessage(req.user);
+        if (quotaMessage) {
+            return res.status(429).json({ error: 'QUOTA_EXCEEDED', message: quotaMessage });
         }
 
-        const { client, assistantId } = session;
+        const { assistantId } = resolved.session;
+        const { client } = resolved;
 
         // Set up SSE
         res.setHeader('Content-Type', 'text/event-stream');
@@ -419,12 +324,14 @@ router.post('/chat', verifyToken, async (req, res) => {
             }
         }
 
-        // Stream the run
+        // Stream the run with the session's tools and temperature, which may differ from the assistant's
+        const runOptions = getRunOptions(resolved.session);
         const stream = await client.beta.threads.runs.stream(threadId, {
-            assistant_id: assistantId
+            assistant_id: assistantId,
+            ...runOptions
         });
 
-        const streamResult = await handleStream(stream, res);
+        const streamResult = await handleStream(stream, res, runOptions.tools);
 
         let inputTokens = streamResult.inputTokens || 0;
         let outputTokens = streamResult.outputTokens || 0;
@@ -475,9 +382,10 @@ router.post('/chat', verifyToken, async (req, res) => {
 
 /**
  * POST /api/llm/tool-outputs
- * Submit tool outputs and continue streaming
+ * Submit tool outputs and continue streaming. Outputs must answer exactly the calls the
+ * run is waiting on; oversized ones are truncated or refused per the security settings
  */
-router.post('/tool-outputs', verifyToken, async (req, res) => {
+router.post('/tool-outputs', allowScope('llm:use'), verifyToken, requireApproved, async (req, res) => {
     let threadId;
     let runId;
     let toolOutputs;
@@ -488,16 +396,30 @@ router.post('/tool-outputs', verifyToken, async (req, res) => {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
-        const session = activeSessions.get(threadId);
-        if (!session) {
-            return res.status(404).json({ error: 'SESSION_NOT_FOUND', message: 'Thread session not found' });
+        const resolved = resolveSession(threadId, req.user);
+        if (resolved.body) {
+            return res.status(resolved.status).json(resolved.body);
         }
 
-        if (session.userId !== req.user.id) {
-            return res.status(403).json({ error: 'UNAUTHORIZED' });
+        const { client } = resolved;
+
+        // Check the outputs against the calls the run is waiting on
+        const run = await client.beta.threads.runs.retrieve(threadId, runId);
+        if (run.status !== 'requires_action') {
+            return res.status(409).json({
+                error: 'RUN_NOT_WAITING',
+                message: `Run ${runId} is not waiting for tool outputs (status: ${run.status})`
+            });
         }
 
-        const { client } = session;
+        const { tools } = getRunOptions(resolved.session);
+        const prepared = prepareToolOutputs(toolOutputs, run.required_action?.submit_tool_outputs?.tool_calls || [], tools);
+        if (prepared.body) {
+            return res.status(prepared.status).json(prepared.body);
+        }
+        if (prepared.truncated > 0) {
+            console.log(`[LLM] Truncated ${prepared.truncated} oversized tool output(s) for run ${runId}`);
+        }
 
         // Set up SSE
         res.setHeader('Content-Type', 'text/event-stream');
@@ -511,10 +433,10 @@ router.post('/tool-outputs', verifyToken, async (req, res) => {
         const stream = await client.beta.threads.runs.submitToolOutputsStream(
             threadId,
             runId,
-            { tool_outputs: toolOutputs }
+            { tool_outputs: prepared.toolOutputs }
         );
 
-        const streamResult = await handleStream(stream, res);
+        const streamResult = await handleStream(stream, res, tools);
 
         let inputTokens = streamResult.inputTokens || 0;
         let outputTokens = streamResult.outputTokens || 0;
@@ -567,33 +489,168 @@ router.post('/tool-outputs', verifyToken, async (req, res) => {
 
 /**
  * DELETE /api/llm/session/:threadId
- * Clean up a session
+ * End a session and delete its Azure assistant and thread
  */
-router.delete('/session/:threadId', verifyToken, (req, res) => {
-    const { threadId } = req.params;
-    const session = activeSessions.get(threadId);
+router.delete('/session/:threadId', allowScope('llm:use'), verifyToken, requireApproved, (req, res) => {
+    try {
+        const { threadId } = req.params;
+        const session = findOpenSession(threadId, req.user);
 
-    if (session && session.userId === req.user.id) {
-        activeSessions.delete(threadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        endSession(session, 'completed');
+
+        console.log(`[LLM] Session deleted: ${threadId}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[LLM] Session delete error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Update session status to completed
+/**
+ * Helper: Send an error in the OpenAI API format so OpenAI-compatible clients can show it
+ */
+function sendOpenAIError(res, status, message, type = 'invalid_request_error', code = null) {
+    res.status(status).json({ error: { message, type, code } });
+}
+
+/**
+ * Helper: Usage from the passthrough endpoint is logged against one session per user per day
+ */
+function getCompletionsLogThreadId(user) {
+    const threadId = `chat-completions:${user.id}:${new Date().toISOString().slice(0, 10)}`;
+    if (!llmLogOps.getSessionByThreadId(threadId)) {
+        llmLogOps.createSession(threadId, COMPLETIONS_ASSISTANT_ID, user.id, user.email);
+    }
+    return threadId;
+}
+
+/**
+ * GET /api/llm/v1/models
+ * OpenAI-compatible model list: the user's own deployment
+ */
+router.get('/v1/models', allowScope('llm:use'), verifyToken, requireApproved, (req, res) => {
+    const profile = connectionProfileOps.findForUser(req.user.id);
+    if (!profile?.deployment) {
+        return res.json({ object: 'list', data: [] });
+    }
+
+    res.json({
+        object: 'list',
+        data: [{ id: profile.deployment, object: 'model', created: 0, owned_by: 'azure' }]
+    });
+});
+
+/**
+ * POST /api/llm/v1/chat/completions
+ * OpenAI-compatible chat completions passthrough, so the Azure key stays on the server.
+ * The request is forwarded to the user's deployment (the model field is ignored);
+ * stream: true is relayed as server-sent events ending with "data: [DONE]".
+ */
+router.post('/v1/chat/completions', allowScope('llm:use'), verifyToken, requireApproved, async (req, res) => {
+    const { model, ...params } = req.body || {};
+
+    if (!Array.isArray(params.messages) || params.messages.length === 0) {
+        return sendOpenAIError(res, 400, 'messages must be a non-empty array');
+    }
+
+    const quotaMessage = getQuotaExceededMessage(req.user);
+    if (quotaMessage) {
+        return sendOpenAIError(res, 429, quotaMessage, 'insufficient_quota', 'QUOTA_EXCEEDED');
+    }
+
+    let profile;
+    try {
+        profile = getConnectionProfile(req.user);
+    } catch (error) {
+        return sendOpenAIError(res, 400, 'Your Azure configuration is not complete. Contact an administrator.', 'invalid_request_error', 'AZURE_NOT_CONFIGURED');
+    }
+
+    let logThreadId = null;
+    try {
+        logThreadId = getCompletionsLogThreadId(req.user);
+    } catch (logError) {
+        console.error('[LLM] Failed to create completions log session:', logError);
+    }
+
+    const logCompletion = (usage, errorMessage = null) => {
+        if (!logThreadId) return;
         try {
-            llmLogOps.updateSessionStatus(threadId, 'completed');
+            llmLogOps.logRequest(
+                logThreadId,
+                'chat',
+                0,
+                usage?.prompt_tokens || 0,
+                usage?.completion_tokens || 0,
+                errorMessage ? 'error' : 'success',
+                errorMessage
+            );
         } catch (logError) {
-            console.error('[LLM] Failed to update session status:', logError);
+            console.error('[LLM] Failed to log completion:', logError);
         }
+    };
 
-        console.log(`[LLM] Session deleted: ${threadId}`);
-        res.json({ success: true });
-    } else {
-        res.status(404).json({ error: 'Session not found' });
+    try {
+        const client = getAzureClient(profile);
+        const completion = await client.chat.completions.create({ ...params, model: profile.deployment });
+
+        if (!params.stream) {
+            logCompletion(completion.usage);
+            return res.json(completion);
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        // Stop the upstream request if the client goes away
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                completion.controller.abort();
+            }
+        });
+
+        // Usage only arrives when the client sets stream_options.include_usage
+        let usage = null;
+        try {
+            for await (const chunk of completion) {
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            }
+            res.write('data: [DONE]\n\n');
+            res.end();
+            logCompletion(usage);
+        } catch (streamError) {
+            console.error('[LLM] Completions stream error:', streamError);
+            logCompletion(usage, streamError.message);
+            if (!res.writableEnded) {
+                res.write(`data: ${JSON.stringify({ error: { message: streamError.message, type: 'api_error', code: null } })}\n\n`);
+                res.end();
+            }
+        }
+    } catch (error) {
+        console.error('[LLM] Completions error:', error);
+        logCompletion(null, error.message);
+
+        // Upstream API errors keep their status (400 for bad parameters, 429 for rate limits, ...)
+        if (error.status && error.error) {
+            return res.status(error.status).json({ error: error.error });
+        }
+        sendOpenAIError(res, 502, error.message, 'api_error');
     }
 });
 
 /**
- * Helper: Handle streaming response and forward via SSE
+ * Helper: Handle streaming response and forward via SSE. Tool calls are checked
+ * against the run's tools; ones that fail carry an error and must not be run.
  */
-async function handleStream(stream, res) {
+async function handleStream(stream, res, tools) {
     let runId = '';
     const toolCalls = [];
     let inputTokens = 0;
@@ -660,7 +717,7 @@ async function handleStream(stream, res) {
         }
 
         // Filter out empty slots and send tool calls if any
-        const finalToolCalls = toolCalls.filter(t => t && t.id);
+        const finalToolCalls = flagToolCalls(toolCalls.filter(t => t && t.id), tools);
 
         if (finalToolCalls.length > 0) {
             res.write(`data: ${JSON.stringify({ type: 'tool_calls', runId, toolCalls: finalToolCalls })}\n\n`);
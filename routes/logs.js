@@ -1,20 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { llmLogOps, userOps } = require('../models/database');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { verifyToken, allowScope, requirePermission } = require('../middleware/auth');
 
 /**
  * GET /api/logs/sessions
- * List all LLM sessions with pagination and optional filtering
+ * List all LLM sessions with pagination and optional filtering by userId or groupId
  */
-router.get('/sessions', verifyToken, requireAdmin, (req, res) => {
+router.get('/sessions', allowScope('logs:read'), verifyToken, requirePermission('logs:read'), (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50;
         const userId = req.query.userId || null;
+        const groupId = req.query.groupId || null;
 
-        const sessions = llmLogOps.getSessions(page, limit, userId);
-        const total = llmLogOps.getTotalSessionCount(userId);
+        const sessions = llmLogOps.getSessions(page, limit, userId, groupId);
+        const total = llmLogOps.getTotalSessionCount(userId, groupId);
 
         res.json({
             sessions,
@@ -35,7 +36,7 @@ router.get('/sessions', verifyToken, requireAdmin, (req, res) => {
  * GET /api/logs/sessions/:id
  * Get detailed session info including all requests
  */
-router.get('/sessions/:id', verifyToken, requireAdmin, (req, res) => {
+router.get('/sessions/:id', allowScope('logs:read'), verifyToken, requirePermission('logs:read'), (req, res) => {
     try {
         const { id } = req.params;
         const details = llmLogOps.getSessionDetails(id);
@@ -53,14 +54,15 @@ router.get('/sessions/:id', verifyToken, requireAdmin, (req, res) => {
 
 /**
  * GET /api/logs/stats
- * Get aggregated usage statistics
+ * Get aggregated usage statistics, optionally for one group's members
  */
-router.get('/stats', verifyToken, requireAdmin, (req, res) => {
+router.get('/stats', allowScope('logs:read'), verifyToken, requirePermission('logs:read'), (req, res) => {
     try {
         const startDate = req.query.startDate || null;
         const endDate = req.query.endDate || null;
+        const groupId = req.query.groupId || null;
 
-        const stats = llmLogOps.getStats(startDate, endDate);
+        const stats = llmLogOps.getStats(startDate, endDate, groupId);
 
         res.json(stats);
     } catch (error) {
@@ -73,7 +75,7 @@ router.get('/stats', verifyToken, requireAdmin, (req, res) => {
  * GET /api/logs/users
  * Get list of users for filter dropdown
  */
-router.get('/users', verifyToken, requireAdmin, (req, res) => {
+router.get('/users', allowScope('logs:read'), verifyToken, requirePermission('logs:read'), (req, res) => {
     try {
         const users = userOps.getAll();
         res.json({ users: users.map(u => ({ id: u.id, email: u.email })) });
@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { llmLogOps, groupOps, connectionProfileOps, userOps } = require('../models/database');
+const { verifyToken, requireApproved } = require('../middleware/auth');
+const { parseNotificationPreferences, getNotificationPreferences, NOTIFICATION_TYPES } = require('../utils/notifications');
+
+const MAX_USAGE_DAYS = 90;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+// Every day in the period, oldest first, with zeros for days without requests
+function fillDailyUsage(rows, days) {
+    const byDate = Object.fromEntries(rows.map(row => [row.date, row]));
+    const series = [];
+
+    for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const row = byDate[date] || { requests: 0, inputTokens: 0, outputTokens: 0 };
+        series.push({ date, requests: row.requests, inputTokens: row.inputTokens, outputTokens: row.outputTokens });
+    }
+    return series;
+}
+
+// This month's usage against each quota of the user's groups; groups without a quota are left out
+function getQuotas(userId) {
+    return groupOps.getForUser(userId)
+        .filter(group => group.monthlyTokenQuota !== null || group.monthlyRequestQuota !== null)
+        .map(group => {
+            const usage = groupOps.getUsage(group.id);
+            return {
+                groupId: group.id,
+                groupName: group.name,
+                monthlyTokenQuota: group.monthlyTokenQuota,
+                monthlyRequestQuota: group.monthlyRequestQuota,
+                usage,
+                tokensRemaining: group.monthlyTokenQuota === null ? null : Math.max(0, group.monthlyTokenQuota - usage.tokens),
+                requestsRemaining: group.monthlyRequestQuota === null ? null : Math.max(0, group.monthlyRequestQuota - usage.requests)
+            };
+        });
+}
+
+// The connection profile requests go through, without its key
+function getAssignedModel(user) {
+    const profile = connectionProfileOps.findForUser(user.id);
+    if (!profile) return null;
+
+    return {
+        name: profile.name,
+        resourceName: profile.resourceName || null,
+        deployment: profile.deployment || null,
+        apiVersion: profile.apiVersion || null,
+        source: user.connectionProfileId === profile.id ? 'user' : 'group'
+    };
+}
+
+function profileResponse(user) {
+    return {
+        email: user.email,
+        displayName: user.displayName || null,
+        notificationPreferences: getNotificationPreferences(userOps.getNotificationPreferences(user.id)),
+        notificationTypes: Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => ({ type, label }))
+    };
+}
+
+/**
+ * GET /api/me/usage
+ * The current user's token usage per day over the last `days` days (default 30),
+ * their group quotas for this month and the model their requests go to
+ */
+router.get('/usage', verifyToken, requireApproved, (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_USAGE_DAYS);
+        const daily = fillDailyUsage(llmLogOps.getDailyUsage(req.user.id, days), days);
+
+        const totals = daily.reduce((sum, day) => ({
+            requests: sum.requests + day.requests,
+            inputTokens: sum.inputTokens + day.inputTokens,
+            outputTokens: sum.outputTokens + day.outputTokens
+        }), { requests: 0, inputTokens: 0, outputTokens: 0 });
+
+        res.json({
+            days,
+            totals: { ...totals, sessions: llmLogOps.getTotalSessionCount(req.user.id) },
+            daily,
+            quotas: getQuotas(req.user.id),
+            model: getAssignedModel(req.user)
+        });
+    } catch (error) {
+        console.error('Get usage error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/me/sessions
+ * The current user's LLM sessions, newest first
+ */
+router.get('/sessions', verifyToken, requireApproved, (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const sessions = llmLogOps.getSessions(page, limit, req.user.id);
+        const total = llmLogOps.getTotalSessionCount(req.user.id);
+
+        res.json({
+            sessions,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Get my sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/me/sessions/:id
+ * One of the current user's sessions with its requests; other users' sessions are not found
+ */
+router.get('/sessions/:id', verifyToken, requireApproved, (req, res) => {
+    try {
+        const details = llmLogOps.getSessionDetails(req.params.id);
+
+        if (!details || details.session.userId !== req.user.id) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json(details);
+    } catch (error) {
+        console.error('Get my session details error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/me/profile
+ * Display name and notification preferences; available to pending accounts too
+ */
+router.get('/profile', verifyToken, (req, res) => {
+    try {
+        res.json(profileResponse(req.user));
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/me/profile
+ * Update the display name (empty clears it) and/or notification preferences
+ */
+router.put('/profile', verifyToken, (req, res) => {
+    try {
+        const { displayName, notificationPreferences } = req.body;
+        const changes = {};
+
+        if (displayName !== undefined) {
+            if (displayName !== null && typeof displayName !== 'string') {
+                return res.status(400).json({ error: 'Display name must be text' });
+            }
+            const trimmed = (displayName || '').trim();
+            if (trimmed.length > MAX_DISPLAY_NAME_LENGTH) {
+                return res.status(400).json({ error: `Display name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters` });
+            }
+            changes.displayName = trimmed || null;
+        }
+
+        if (notificationPreferences !== undefined) {
+            try {
+                changes.notificationPreferences = getNotificationPreferences({
+                    ...userOps.getNotificationPreferences(req.user.id),
+                    ...parseNotificationPreferences(notificationPreferences)
+                });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+
+        userOps.updateProfile(req.user.id, changes);
+
+        res.json(profileResponse(userOps.findById(req.user.id)));
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
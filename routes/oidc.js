@@ -0,0 +1,259 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { userOps, securityEventOps } = require('../models/database');
+const oidc = require('../utils/oidc');
+const { getPortalUrl } = require('../utils/mailer');
+const {
+    generateOidcStateToken,
+    verifyOidcStateToken,
+    generateChallengeToken,
+    createSession,
+    setAuthCookies
+} = require('../middleware/auth');
+const { getAccountLock, recordSuccessfulSignin } = require('../middleware/throttle');
+const { evaluateSignup, recordSignupDecision } = require('../utils/signupPolicy');
+const { SUPER_ADMIN_ROLE, isStaff } = require('../utils/permissions');
+const { getAccountStatusError } = require('../utils/accountStatus');
+const { FORCED_RESET_TOKEN_TTL_MINUTES, issuePasswordResetToken } = require('../utils/passwordReset');
+
+// The state cookie must survive the cross-site redirect back from the provider, so it is SameSite=Lax
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/oidc'
+};
+const STATE_COOKIE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Only same-origin paths are accepted as post-login destinations
+function safeReturnTo(value) {
+    return typeof value === 'string' && /^\/(?![\/\\])/.test(value) ? value : null;
+}
+
+function getRedirectUri(req) {
+    return oidc.getConfig().redirectUri || `${getPortalUrl(req)}/api/auth/oidc/callback`;
+}
+
+// After a forced reset the user signs in again, so the page mustn't expect a finished SSO sign-in
+function withoutSsoReturn(returnTo) {
+    const url = new URL(returnTo, 'http://portal.local');
+    url.searchParams.delete('sso');
+    url.searchParams.delete('ssoNonce');
+    return url.pathname + url.search;
+}
+
+// Send the browser back to where the flow started with an error message for the page to show
+function redirectWithError(res, returnTo, message) {
+    const url = new URL(returnTo || '/', 'http://portal.local');
+    url.searchParams.set('ssoError', message);
+    res.redirect(url.pathname + url.search);
+}
+
+/**
+ * Find the portal account for an ID token: by linked subject first, then by email.
+ * Staff accounts are only linked once an admin has allowed it. Unknown emails are
+ * auto-provisioned unless OIDC_AUTO_PROVISION=false. Returns { user }, or { error }
+ * with the message to show.
+ */
+function resolveUser(claims, email, access, req) {
+    const subject = `${claims.iss}|${claims.sub}`;
+    const noAccount = { error: 'No portal account exists for this identity. Ask an administrator for access.' };
+
+    let user = userOps.findByOidcSubject(subject);
+    if (user) return { user };
+
+    user = userOps.findByEmailIgnoreCase(email);
+    if (user) {
+        if (isStaff(user) && !user.oidcLinkAllowed) {
+            securityEventOps.record('sso_link_refused', {
+                userId: user.id,
+                email: user.email,
+                ipAddress: req.ip,
+                details: 'Staff account; an administrator must allow SSO linking'
+            });
+            return { error: 'This administrator account can only be linked to single sign-on once another administrator allows it. Sign in with your password for now.' };
+        }
+        userOps.linkOidcSubject(user.id, subject);
+        securityEventOps.record('sso_account_linked', { userId: user.id, email: user.email, ipAddress: req.ip });
+        return { user };
+    }
+
+    if (!oidc.getConfig().autoProvision) {
+        return noAccount;
+    }
+
+    // The signup domain policy applies to provisioned accounts too; IdP groups can also approve
+    const policy = evaluateSignup(email);
+    if (policy.decision === 'blocked') {
+        recordSignupDecision(policy, { email, ipAddress: req.ip, source: 'sso' });
+        return noAccount;
+    }
+    if (access.approve && !policy.isApproved) {
+        Object.assign(policy, { decision: 'sso_group', isApproved: true, reason: 'IdP group membership' });
+    }
+
+    // SSO-only accounts have no password; "Forgot password?" can set one
+    const created = userOps.create(email, null, {
+        role: access.role || 'user',
+        isApproved: policy.isApproved,
+        approvalReason: policy.reason
+    });
+    userOps.linkOidcSubject(created.id, subject);
+    recordSignupDecision(policy, { userId: created.id, email, ipAddress: req.ip, source: 'sso' });
+    securityEventOps.record('sso_user_provisioned', {
+        userId: created.id,
+        email,
+        ipAddress: req.ip,
+        details: `role=${created.role}, approved=${created.isApproved}`
+    });
+    return { user: userOps.findByOidcSubject(subject) };
+}
+
+// Bring role and approval in line with the user's IdP groups. Admin groups only
+// grant or take away super admin; other roles are assigned in the portal.
+function applyGroupMapping(user, access, req) {
+    const isSuperAdmin = user.role === SUPER_ADMIN_ROLE;
+    if (access.role && (access.role === SUPER_ADMIN_ROLE) !== isSuperAdmin) {
+        // Never demote the last super admin; the portal would be left without one
+        if (isSuperAdmin && userOps.countSuperAdmins() <= 1) {
+            console.warn(`SSO group mapping would demote the last super admin (${user.email}); skipping`);
+        } else {
+            userOps.setRole(user.id, access.role);
+            securityEventOps.record('sso_role_changed', {
+                userId: user.id,
+                email: user.email,
+                ipAddress: req.ip,
+                details: `${user.role} -> ${access.role}`
+            });
+        }
+    }
+
+    // IdP groups approve pending accounts but never lift a suspension or expiry
+    if (access.approve && user.status === 'pending') {
+        userOps.approve(user.id, 'IdP group membership');
+    }
+
+    return userOps.findById(user.id);
+}
+
+// Whether SSO is configured, so the signin pages can show the button
+router.get('/config', (req, res) => {
+    const config = oidc.getConfig();
+    res.json({ enabled: oidc.isEnabled(), displayName: config.displayName });
+});
+
+// Start the authorization-code flow; ?returnTo= is where to land after signin
+router.get('/login', async (req, res) => {
+    const returnTo = safeReturnTo(req.query.returnTo);
+
+    try {
+        if (!oidc.isEnabled()) {
+            return res.status(404).json({ error: 'Single sign-on is not configured' });
+        }
+
+        const state = crypto.randomBytes(16).toString('base64url');
+        const nonce = crypto.randomBytes(16).toString('base64url');
+        const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+        const redirectUri = getRedirectUri(req);
+
+        const authorizationUrl = await oidc.buildAuthorizationUrl({ redirectUri, state, nonce, codeChallenge });
+
+        res.cookie(STATE_COOKIE, generateOidcStateToken({ state, nonce, codeVerifier, returnTo }), {
+            ...STATE_COOKIE_OPTIONS,
+            maxAge: STATE_COOKIE_MAX_AGE_MS
+        });
+        res.redirect(authorizationUrl);
+    } catch (error) {
+        console.error('OIDC login error:', error);
+        redirectWithError(res, returnTo, 'Single sign-on is currently unavailable');
+    }
+});
+
+// Provider redirects back here with ?code&state (or ?error)
+router.get('/callback', async (req, res) => {
+    const flow = verifyOidcStateToken(req.cookies[STATE_COOKIE]);
+    res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+    const returnTo = flow?.returnTo || null;
+
+    try {
+        if (!flow || !req.query.state || req.query.state !== flow.state) {
+            return redirectWithError(res, returnTo, 'Sign-in session expired. Please try again.');
+        }
+
+        if (req.query.error) {
+            console.warn(`OIDC provider returned error: ${req.query.error} ${req.query.error_description || ''}`);
+            return redirectWithError(res, returnTo, 'Single sign-on was cancelled or denied');
+        }
+
+        if (!req.query.code) {
+            return redirectWithError(res, returnTo, 'Single sign-on failed');
+        }
+
+        const tokenResponse = await oidc.exchangeCode({
+            code: req.query.code,
+            redirectUri: getRedirectUri(req),
+            codeVerifier: flow.codeVerifier
+        });
+        const claims = await oidc.verifyIdToken(tokenResponse.id_token, flow.nonce);
+
+        const email = oidc.getEmailFromClaims(claims);
+        if (!email) {
+            return redirectWithError(res, returnTo, 'Your identity provider did not supply a verified email address');
+        }
+
+        // Entra ID omits large group lists from the token ("groups overage")
+        if (claims._claim_names?.[oidc.getConfig().groupsClaim]) {
+            console.warn(`OIDC groups claim for ${email} was omitted (too many groups); role mapping skipped`);
+        }
+
+        const access = oidc.mapGroups(claims);
+        const resolved = resolveUser(claims, email, access, req);
+
+        if (resolved.error) {
+            securityEventOps.record('sso_signin_rejected', { email, ipAddress: req.ip, details: resolved.error });
+            return redirectWithError(res, returnTo, resolved.error);
+        }
+
+        let user = resolved.user;
+
+        if (getAccountLock(user)) {
+            return redirectWithError(res, returnTo, 'This account is temporarily locked. Please try again later.');
+        }
+
+        const statusError = getAccountStatusError(user);
+        if (statusError) {
+            return redirectWithError(res, returnTo, statusError.error);
+        }
+
+        user = applyGroupMapping(user, access, req);
+
+        // SSO doesn't replace the portal's own second factor. The editor signin page or the
+        // main signin page asks for the code; the challenge goes in the fragment so it isn't
+        // sent to the server or in a Referer.
+        if (user.totpEnabled) {
+            const challengePage = returnTo?.startsWith('/vscode-login') ? withoutSsoReturn(returnTo) : '/';
+            return res.redirect(`${challengePage}#ssoChallenge=${generateChallengeToken(user.id)}`);
+        }
+
+        recordSuccessfulSignin(user.email, req);
+
+        // An admin flagged this account; it must set a new password before getting a session
+        if (user.mustChangePassword) {
+            const params = new URLSearchParams({ forced: '1', token: issuePasswordResetToken(user.id, FORCED_RESET_TOKEN_TTL_MINUTES) });
+            if (returnTo) params.set('returnTo', withoutSsoReturn(returnTo));
+            return res.redirect(`/reset-password?${params.toString()}`);
+        }
+
+        setAuthCookies(res, createSession(user, req));
+
+        res.redirect(returnTo || (isStaff(user) ? '/admin' : '/dashboard'));
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+        redirectWithError(res, returnTo, 'Single sign-on failed');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { settingsOps } = require('../models/database');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { getThrottleSettings, setThrottleSettings } = require('../middleware/throttle');
+const { getSignupPolicy, setSignupPolicy } = require('../utils/signupPolicy');
+const { getToolOutputSettings, setToolOutputSettings } = require('../utils/toolCalls');
+const { recordAudit } = require('../utils/audit');
+
+function getSecuritySettings() {
+    return {
+        requireAdminTwoFactor: settingsOps.get('requireAdminTwoFactor') === '1',
+        disableKeyDistribution: settingsOps.get('disableKeyDistribution') === '1',
+        throttle: getThrottleSettings(),
+        toolOutputs: getToolOutputSettings()
+    };
+}
+
+/**
+ * GET /api/settings/security
+ * Get portal-wide security settings
+ */
+router.get('/security', verifyToken, requirePermission('settings:read'), (req, res) => {
+    try {
+        res.json(getSecuritySettings());
+    } catch (error) {
+        console.error('Get security settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/settings/security
+ * Update portal-wide security settings
+ */
+router.put('/security', verifyToken, requirePermission('settings:manage'), (req, res) => {
+    try {
+        const { requireAdminTwoFactor, disableKeyDistribution, throttle, toolOutputs } = req.body;
+        const before = getSecuritySettings();
+
+        if (requireAdminTwoFactor !== undefined) {
+            // Don't let an admin lock themselves out of the admin pages
+            if (requireAdminTwoFactor && !req.user.totpEnabled) {
+                return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+            }
+            settingsOps.set('requireAdminTwoFactor', requireAdminTwoFactor ? '1' : '0');
+        }
+
+        // When set, /api/key refuses to hand out Azure keys; the extension must use the /api/llm proxy
+        if (disableKeyDistribution !== undefined) {
+            settingsOps.set('disableKeyDistribution', disableKeyDistribution ? '1' : '0');
+        }
+
+        if (throttle) {
+            try {
+                setThrottleSettings(throttle);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+
+        // Limits on what the extension sends back from tools through /api/llm/tool-outputs
+        if (toolOutputs) {
+            try {
+                setToolOutputSettings(toolOutputs);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+
+        recordAudit(req, 'security_settings_updated', {
+            target: { type: 'settings', id: 'security', label: 'Security settings' },
+            before,
+            after: getSecuritySettings()
+        });
+
+        res.json({ message: 'Security settings updated' });
+    } catch (error) {
+        console.error('Update security settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/settings/signup-policy
+ * Get the email-domain allowlist and blocklist for signups
+ */
+router.get('/signup-policy', verifyToken, requirePermission('settings:read'), (req, res) => {
+    try {
+        res.json(getSignupPolicy());
+    } catch (error) {
+        console.error('Get signup policy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/settings/signup-policy
+ * Update the allowlist (auto-approve) and blocklist (reject) domains
+ */
+router.put('/signup-policy', verifyToken, requirePermission('settings:manage'), (req, res) => {
+    try {
+        const before = getSignupPolicy();
+
+        try {
+            setSignupPolicy(req.body);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const after = getSignupPolicy();
+        recordAudit(req, 'signup_policy_updated', {
+            target: { type: 'settings', id: 'signup-policy', label: 'Signup policy' },
+            before,
+            after
+        });
+
+        res.json({ message: 'Signup policy updated', ...after });
+    } catch (error) {
+        console.error('Update signup policy error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { userOps, settingsOps } = require('../models/database');
+const { throttleByIp } = require('../middleware/throttle');
+const { SUPER_ADMIN_ROLE } = require('../utils/permissions');
+
+function hashSetupToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Setup mode lasts until the first super admin account exists
+function isSetupRequired() {
+    return userOps.countSuperAdmins() === 0;
+}
+
+/**
+ * Generate a fresh one-time setup token if the portal has no admin yet.
+ * Returns the token (to be logged once at startup) or null if setup is complete.
+ */
+function initSetupToken() {
+    if (!isSetupRequired()) {
+        settingsOps.set('setupTokenHash', '');
+        return null;
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    settingsOps.set('setupTokenHash', hashSetupToken(token));
+    return token;
+}
+
+/**
+ * GET /api/setup/status
+ * Whether the first-run setup still needs to be completed
+ */
+router.get('/status', (req, res) => {
+    try {
+        res.json({ setupRequired: isSetupRequired() });
+    } catch (error) {
+        console.error('Setup status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/setup
+ * Create the first admin account using the setup token from the server log
+ */
+router.post('/', throttleByIp('setup'), (req, res) => {
+    try {
+        const { setupToken, email, password } = req.body;
+
+        if (!isSetupRequired()) {
+            return res.status(409).json({ error: 'Setup has already been completed' });
+        }
+
+        if (!setupToken || !email || !password) {
+            return res.status(400).json({ error: 'Setup token, email and password are required' });
+        }
+
+        const expectedHash = settingsOps.get('setupTokenHash');
+        const actualHash = hashSetupToken(setupToken);
+        if (!expectedHash || !crypto.timingSafeEqual(Buffer.from(actualHash), Buffer.from(expectedHash))) {
+            return res.status(401).json({ error: 'Invalid setup token' });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Admin password must be at least 8 characters' });
+        }
+
+        const user = userOps.create(email, password, { role: SUPER_ADMIN_ROLE, isApproved: 1 });
+
+        if (!user) {
+            return res.status(409).json({ error: 'Email already registered' });
+        }
+
+        // The token is single-use
+        settingsOps.set('setupTokenHash', '');
+        console.log(`First admin account created: ${email}`);
+
+        res.status(201).json({ message: 'Admin account created. You can now sign in.' });
+    } catch (error) {
+        console.error('Setup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
+module.exports.initSetupToken = initSetupToken;
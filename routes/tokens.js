@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const { patOps, securityEventOps } = require('../models/database');
+const { hasPermission } = require('../utils/permissions');
+const { notifyUser } = require('../utils/notifications');
+const {
+    verifyToken,
+    requireApproved,
+    denyImpersonation,
+    PAT_SCOPES,
+    generatePersonalAccessToken,
+    hashPersonalAccessToken
+} = require('../middleware/auth');
+
+const MAX_TOKEN_DAYS = 365;
+// Scopes that reach admin data need the matching permission on the token owner's role
+const SCOPE_PERMISSIONS = { 'logs:read': 'logs:read' };
+
+function canRequestScope(user, scope) {
+    return !SCOPE_PERMISSIONS[scope] || hasPermission(user, SCOPE_PERMISSIONS[scope]);
+}
+
+/**
+ * GET /api/tokens
+ * List the current user's personal access tokens and the scopes they can request
+ */
+router.get('/', verifyToken, (req, res) => {
+    try {
+        const scopes = Object.entries(PAT_SCOPES)
+            .filter(([scope]) => canRequestScope(req.user, scope))
+            .map(([scope, description]) => ({ scope, description }));
+
+        res.json({ tokens: patOps.getByUser(req.user.id), scopes });
+    } catch (error) {
+        console.error('Get tokens error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/tokens
+ * Create a named token with scopes and an expiry; the token value is only returned here
+ */
+router.post('/', verifyToken, denyImpersonation, requireApproved, (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+
+        if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+            return res.status(400).json({ error: 'A token name of up to 100 characters is required' });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return res.status(400).json({ error: 'Select at least one scope' });
+        }
+
+        const unknown = scopes.find(scope => !PAT_SCOPES[scope]);
+        if (unknown) {
+            return res.status(400).json({ error: `Unknown scope: ${unknown}` });
+        }
+
+        const forbidden = scopes.find(scope => !canRequestScope(req.user, scope));
+        if (forbidden) {
+            return res.status(403).json({ error: `Your role cannot create tokens with the ${forbidden} scope` });
+        }
+
+        const days = parseInt(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_DAYS) {
+            return res.status(400).json({ error: `Expiry must be between 1 and ${MAX_TOKEN_DAYS} days` });
+        }
+
+        const { token, prefix } = generatePersonalAccessToken();
+        const uniqueScopes = [...new Set(scopes)];
+        const id = patOps.create(req.user.id, name.trim(), hashPersonalAccessToken(token), prefix, uniqueScopes, days);
+
+        securityEventOps.record('token_created', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Token #${id} "${name.trim()}" (${uniqueScopes.join(', ')}), expires in ${days} days`
+        });
+
+        notifyUser(req.user, 'securityAlerts', {
+            subject: 'A new access token was created',
+            text: `A personal access token named "${name.trim()}" with the scopes ${uniqueScopes.join(', ')} was just created for your CodeAlly Portal account (${req.user.email}).\n\n` +
+                `If this wasn't you, revoke it from your dashboard and change your password.`
+        });
+
+        res.status(201).json({ message: 'Token created', id, token });
+    } catch (error) {
+        console.error('Create token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke one of the current user's tokens
+ */
+router.delete('/:id', verifyToken, denyImpersonation, (req, res) => {
+    try {
+        const { changes } = patOps.revoke(req.params.id, req.user.id);
+
+        if (!changes) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+
+        securityEventOps.record('token_revoked', {
+            userId: req.user.id,
+            email: req.user.email,
+            ipAddress: req.ip,
+            details: `Token #${parseInt(req.params.id)}`
+        });
+
+        res.json({ message: 'Token revoked' });
+    } catch (error) {
+        console.error('Revoke token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
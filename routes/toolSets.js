@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const { toolSetOps } = require('../models/database');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validateTools, validateVersion } = require('../utils/toolSets');
+
+const MAX_NOTES_LENGTH = 500;
+
+function toolSetTarget(toolSet) {
+    return { type: 'tool_set', id: toolSet.id, label: toolSet.version };
+}
+
+function toolSetSummary(toolSet) {
+    return {
+        id: toolSet.id,
+        version: toolSet.version,
+        notes: toolSet.notes,
+        toolNames: toolSet.tools.map(tool => tool.function.name),
+        createdByEmail: toolSet.createdByEmail,
+        createdAt: toolSet.createdAt,
+        retiredAt: toolSet.retiredAt,
+        sessionCount: toolSet.sessionCount,
+        current: toolSet.version === toolSetOps.getCurrentVersion()
+    };
+}
+
+/**
+ * GET /api/tool-sets
+ * List tool set versions, newest first (tools:manage)
+ */
+router.get('/', verifyToken, requirePermission('tools:manage'), (req, res) => {
+    try {
+        res.json({
+            currentVersion: toolSetOps.getCurrentVersion(),
+            toolSets: toolSetOps.getAll().map(toolSetSummary)
+        });
+    } catch (error) {
+        console.error('Get tool sets error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/tool-sets/:version
+ * A tool set version with its tool definitions (tools:manage)
+ */
+router.get('/:version', verifyToken, requirePermission('tools:manage'), (req, res) => {
+    try {
+        const toolSet = toolSetOps.findByVersion(req.params.version);
+
+        if (!toolSet) {
+            return res.status(404).json({ error: 'Tool set not found' });
+        }
+
+        res.json({ ...toolSetSummary(toolSet), tools: toolSet.tools });
+    } catch (error) {
+        console.error('Get tool set error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/tool-sets
+ * Add a tool set version; versions can't be edited afterwards. makeCurrent switches new sessions to it (tools:manage)
+ */
+router.post('/', verifyToken, requirePermission('tools:manage'), (req, res) => {
+    try {
+        const { version, tools, notes, makeCurrent } = req.body;
+
+        const versionError = validateVersion(version);
+        if (versionError) {
+            return res.status(400).json({ error: versionError });
+        }
+
+        try {
+            validateTools(tools);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+            return res.status(400).json({ error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters` });
+        }
+
+        const id = toolSetOps.create({
+            version,
+            tools,
+            notes: notes?.trim() || null,
+            createdBy: req.user.id,
+            createdByEmail: req.user.email
+        });
+
+        if (!id) {
+            return res.status(409).json({ error: `Tool set ${version} already exists. Versions can't be changed; add a new one.` });
+        }
+
+        const created = toolSetOps.findByVersion(version);
+        recordAudit(req, 'tool_set_created', {
+            target: toolSetTarget(created),
+            after: { version, notes: created.notes, tools }
+        });
+
+        if (makeCurrent) {
+            const previous = toolSetOps.getCurrentVersion();
+            toolSetOps.setCurrentVersion(version);
+            recordAudit(req, 'tool_set_made_current', {
+                target: toolSetTarget(created),
+                before: { currentVersion: previous },
+                after: { currentVersion: version }
+            });
+        }
+
+        res.status(201).json({ message: `Tool set ${version} added${makeCurrent ? ' and made current' : ''}`, id });
+    } catch (error) {
+        console.error('Create tool set error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/tool-sets/:version/current
+ * Make a version the one new assistants are created with and sessions without a declared version use (tools:manage)
+ */
+router.put('/:version/current', verifyToken, requirePermission('tools:manage'), (req, res) => {
+    try {
+        const toolSet = toolSetOps.findByVersion(req.params.version);
+
+        if (!toolSet) {
+            return res.status(404).json({ error: 'Tool set not found' });
+        }
+
+        if (toolSet.retiredAt) {
+            return res.status(400).json({ error: 'Reinstate this tool set before making it current' });
+        }
+
+        const previous = toolSetOps.getCurrentVersion();
+        toolSetOps.setCurrentVersion(toolSet.version);
+        recordAudit(req, 'tool_set_made_current', {
+            target: toolSetTarget(toolSet),
+            before: { currentVersion: previous },
+            after: { currentVersion: toolSet.version }
+        });
+
+        res.json({ message: `Tool set ${toolSet.version} is now current` });
+    } catch (error) {
+        console.error('Set current tool set error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/tool-sets/:version/retire
+ * Refuse new sessions declaring this version; open sessions keep it (tools:manage)
+ */
+router.put('/:version/retire', verifyToken, requirePermission('tools:manage'), (req, res) => {
+    try {
+        const toolSet = toolSetOps.findByVersion(req.params.version);
+
+        if (!toolSet) {
+            return res.status(404).json({ error: 'Tool set not found' });
+        }
+
+        if (toolSet.version === toolSetOps.getCurrentVersion()) {
+            return res.status(400).json({ error: 'The current tool set cannot be retired. Make another version current first.' });
+        }
+
+        if (toolSet.retiredAt) {
+            return res.status(400).json({ error: 'This tool set is already retired' });
+        }
+
+        toolSetOps.setRetired(toolSet.version, true);
+        recordAudit(req, 'tool_set_retired', {
+            target: toolSetTarget(toolSet),
+            before: { retired: false },
+            after: { retired: true }
+        });
+
+        res.json({ message: `Tool set ${toolSet.version} retired` });
+    } catch (error) {
+        console.error('Retire tool set error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/tool-sets/:version/reinstate
+ * Accept a retired version again (tools:manage)
+ */
+router.put('/:version/reinstate', verifyToken, requirePermission('tools:manage'), (req, res) => {
+    try {
+        const toolSet = toolSetOps.findByVersion(req.params.version);
+
+        if (!toolSet) {
+            return res.status(404).json({ error: 'Tool set not found' });
+        }
+
+        if (!toolSet.retiredAt) {
+            return res.status(400).json({ error: 'This tool set is not retired' });
+        }
+
+        toolSetOps.setRetired(toolSet.version, false);
+        recordAudit(req, 'tool_set_reinstated', {
+            target: toolSetTarget(toolSet),
+            before: { retired: true },
+            after: { retired: false }
+        });
+
+        res.json({ message: `Tool set ${toolSet.version} reinstated` });
+    } catch (error) {
+        console.error('Reinstate tool set error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,12 +1,134 @@
 const express = require('express');
 const router = express.Router();
-const { userOps } = require('../models/database');
-const { verifyToken, requireAdmin } = require('../middleware/auth');
+const { userOps, connectionProfileOps, groupOps, securityEventOps, transaction } = require('../models/database');
+const {
+    verifyToken,
+    requirePermission,
+    requireGroupManager,
+    canManageUser,
+    revokeAllSessions,
+    MAX_IMPERSONATION_MINUTES,
+    startImpersonation,
+    setImpersonationCookie
+} = require('../middleware/auth');
+const { unlockAccount } = require('../middleware/throttle');
+const { PERMISSIONS, ROLES, SUPER_ADMIN_ROLE, isValidRole, isStaff, hasPermission } = require('../utils/permissions');
+const { recordAudit, userSnapshot } = require('../utils/audit');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { issuePasswordResetToken } = require('../utils/passwordReset');
+const { sendMail, getPortalUrl } = require('../utils/mailer');
+const { ACCOUNT_STATUSES, validateAccessEndDate, getAccountStatusError } = require('../utils/accountStatus');
 
-// Get all users (admin only)
-router.get('/', verifyToken, requireAdmin, (req, res) => {
+const MANAGE_DENIED = 'You are not allowed to manage this account';
+const ACCOUNT_DELETED = 'This account has been deleted. Restore it first.';
+const MAX_REASON_LENGTH = 500;
+const DEFAULT_IMPERSONATION_MINUTES = 15;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const MAX_BULK_USERS = 500;
+const MAX_IMPORT_ROWS = 500;
+// Imported accounts get a week to choose a password from their welcome email
+const WELCOME_TOKEN_TTL_MINUTES = 7 * 24 * 60;
+
+const EXPORT_COLUMNS = ['id', 'email', 'role', 'status', 'statusReason', 'accessEndDate', 'groups', 'connectionProfile',
+    'twoFactor', 'sso', 'createdAt'];
+
+// Bulk actions, the permission each needs and how the result is described
+const BULK_ACTIONS = {
+    'approve': { permission: 'users:approve', done: 'Approved' },
+    'suspend': { permission: 'users:approve', done: 'Suspended' },
+    'delete': { permission: 'users:manage', done: 'Deleted' },
+    'restore': { permission: 'users:manage', done: 'Restored' },
+    'assign-connection': { permission: 'keys:assign', done: 'Updated the connection profile of' },
+    'set-role': { permission: 'roles:assign', done: 'Changed the role of' }
+};
+
+function userTarget(user) {
+    return { type: 'user', id: user.id, label: user.email };
+}
+
+// Audit an action on an account, capturing its state before and after
+function auditUserChange(req, action, before) {
+    const after = userOps.findById(before.id);
+    recordAudit(req, action, {
+        target: userTarget(before),
+        before: userSnapshot(before),
+        after: after ? userSnapshot(after) : null
+    });
+}
+
+// Account changes shared by the single-user and bulk endpoints; callers check permissions
+
+function approveAccount(req, user) {
+    userOps.approve(user.id, `Approved by ${req.user.email}`);
+    auditUserChange(req, 'user_approved', user);
+}
+
+function suspendAccount(req, user, reason) {
+    userOps.suspend(user.id, reason || `Suspended by ${req.user.email}`);
+    // Suspended users must not keep using tokens they were already issued
+    revokeAllSessions(user.id);
+    auditUserChange(req, 'user_suspended', user);
+}
+
+// Soft delete; the account's usage history stays attributed to it
+function deleteAccount(req, user) {
+    userOps.softDelete(user.id);
+    auditUserChange(req, 'user_deleted', user);
+}
+
+function restoreAccount(req, user) {
+    userOps.restore(user.id);
+    auditUserChange(req, 'user_restored', user);
+}
+
+// Optional free-text reason for a suspension
+function parseReason(reason) {
+    return reason ? String(reason).trim().slice(0, MAX_REASON_LENGTH) || null : null;
+}
+
+// Whether removing this account's access would leave no active super admin
+function isLastSuperAdmin(user) {
+    return user.role === SUPER_ADMIN_ROLE && user.status === 'active' && userOps.countSuperAdmins() <= 1;
+}
+
+function assignRole(req, user, role) {
+    userOps.setRole(user.id, role);
+    // Staff roles only make sense on approved accounts; suspensions are left alone
+    if (isStaff({ role }) && user.status === 'pending') {
+        userOps.approve(user.id, `Approved by ${req.user.email}`);
+    }
+
+    securityEventOps.record('role_changed', {
+        userId: req.user.id,
+        email: req.user.email,
+        ipAddress: req.ip,
+        details: `${user.email}: ${user.role} -> ${role}`
+    });
+    auditUserChange(req, 'user_role_changed', user);
+}
+
+function assignConnectionProfile(req, user, profile) {
+    userOps.setConnectionProfile(user.id, profile ? profile.id : null);
+    auditUserChange(req, 'user_connection_profile_set', user);
+}
+
+// Get all users, optionally only members of ?groupId= or accounts in ?status=
+// (users:read, or group admins for their own groups). Deleted accounts are only listed with ?status=deleted.
+router.get('/', verifyToken, requireGroupManager('users:read'), (req, res) => {
     try {
-        const users = userOps.getAll();
+        const groupId = req.query.groupId ? parseInt(req.query.groupId) : null;
+        const status = req.query.status || null;
+
+        if (groupId && req.managedGroupIds && !req.managedGroupIds.includes(groupId)) {
+            return res.status(403).json({ error: 'You can only view members of groups you manage' });
+        }
+
+        if (status && !ACCOUNT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${ACCOUNT_STATUSES.join(', ')}` });
+        }
+
+        const users = userOps.getAll({ groupIds: groupId ? [groupId] : req.managedGroupIds, status });
         res.json({ users });
     } catch (error) {
         console.error('Get users error:', error);
@@ -14,8 +136,80 @@ router.get('/', verifyToken, requireAdmin, (req, res) => {
     }
 });
 
-// Approve user (admin only)
-router.put('/:id/approve', verifyToken, requireAdmin, (req, res) => {
+// Download the user table as CSV (users:read)
+router.get('/export', verifyToken, requirePermission('users:read'), (req, res) => {
+    try {
+        const users = userOps.getAll().map(user => ({
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            status: user.status,
+            statusReason: user.statusReason || '',
+            accessEndDate: user.accessEndDate || '',
+            groups: user.groupNames || '',
+            connectionProfile: user.connectionProfileName || '',
+            twoFactor: user.totpEnabled ? 'yes' : 'no',
+            sso: user.ssoLinked ? 'yes' : 'no',
+            createdAt: user.createdAt
+        }));
+
+        recordAudit(req, 'users_exported', { target: { type: 'user' }, after: { users: users.length } });
+
+        res.set('Content-Disposition', `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.type('text/csv').send(toCsv(EXPORT_COLUMNS, users));
+    } catch (error) {
+        console.error('Export users error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Roles that can be assigned and the permissions each grants
+router.get('/roles', verifyToken, requirePermission('users:read'), (req, res) => {
+    res.json({
+        roles: Object.entries(ROLES).map(([role, { label, permissions }]) => ({ role, label, permissions })),
+        permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({ permission, description }))
+    });
+});
+
+// Get locked accounts and recent lockout events (users:read)
+router.get('/locked', verifyToken, requirePermission('users:read'), (req, res) => {
+    try {
+        res.json({
+            users: userOps.getLocked(),
+            events: securityEventOps.getRecent(50)
+        });
+    } catch (error) {
+        console.error('Get locked users error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unlock an account locked by failed sign-ins (users:manage)
+router.put('/:id/unlock', verifyToken, requirePermission('users:manage'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = userOps.findById(id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        unlockAccount(user, req.user, req);
+        recordAudit(req, 'user_unlocked', { target: userTarget(user) });
+        res.json({ message: 'Account unlocked' });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Approve a pending account, or reactivate a suspended or expired one
+// (users:approve; group admins can approve their pending members)
+router.put('/:id/approve', verifyToken, requireGroupManager('users:approve'), (req, res) => {
     try {
         const { id } = req.params;
         const user = userOps.findById(id);
@@ -24,7 +218,19 @@ router.put('/:id/approve', verifyToken, requireAdmin, (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        userOps.approve(id);
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        if (user.status === 'deleted') {
+            return res.status(409).json({ error: ACCOUNT_DELETED });
+        }
+
+        if (req.managedGroupIds && user.status !== 'pending') {
+            return res.status(403).json({ error: 'Only an administrator can reactivate a suspended or expired account' });
+        }
+
+        approveAccount(req, user);
         res.json({ message: 'User approved successfully' });
     } catch (error) {
         console.error('Approve user error:', error);
@@ -32,8 +238,9 @@ router.put('/:id/approve', verifyToken, requireAdmin, (req, res) => {
     }
 });
 
-// Deny user access (admin only)
-router.put('/:id/deny', verifyToken, requireAdmin, (req, res) => {
+// Suspend an account with an optional { reason } (users:approve, or group admins for their members).
+// /deny is the older name for the same action.
+router.put(['/:id/suspend', '/:id/deny'], verifyToken, requireGroupManager('users:approve'), (req, res) => {
     try {
         const { id } = req.params;
         const user = userOps.findById(id);
@@ -42,36 +249,64 @@ router.put('/:id/deny', verifyToken, requireAdmin, (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        userOps.deny(id);
-        res.json({ message: 'User access denied' });
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({ error: 'Cannot suspend your own account' });
+        }
+
+        if (user.status === 'deleted') {
+            return res.status(409).json({ error: ACCOUNT_DELETED });
+        }
+
+        if (isLastSuperAdmin(user)) {
+            return res.status(400).json({ error: 'Cannot suspend the last super admin' });
+        }
+
+        suspendAccount(req, user, parseReason(req.body.reason));
+        res.json({ message: 'User suspended' });
     } catch (error) {
-        console.error('Deny user error:', error);
+        console.error('Suspend user error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Make user an admin (admin only)
-router.put('/:id/make-admin', verifyToken, requireAdmin, (req, res) => {
+// Assign a role (roles:assign)
+router.put('/:id/role', verifyToken, requirePermission('roles:assign'), (req, res) => {
     try {
         const { id } = req.params;
+        const { role } = req.body;
         const user = userOps.findById(id);
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        userOps.makeAdmin(id);
-        // Also approve if not already approved
-        userOps.approve(id);
-        res.json({ message: 'User promoted to admin' });
+        if (!isValidRole(role)) {
+            return res.status(400).json({ error: 'Unknown role' });
+        }
+
+        // Prevent changing your own role, e.g. locking yourself out of role assignment
+        if (parseInt(id) === req.user.id) {
+            return res.status(400).json({ error: 'Cannot change your own role' });
+        }
+
+        if (role !== SUPER_ADMIN_ROLE && isLastSuperAdmin(user)) {
+            return res.status(400).json({ error: 'Cannot change the role of the last super admin' });
+        }
+
+        assignRole(req, user, role);
+        res.json({ message: `${user.email} is now ${ROLES[role].label}` });
     } catch (error) {
-        console.error('Make admin error:', error);
+        console.error('Set role error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Remove admin role (admin only)
-router.put('/:id/remove-admin', verifyToken, requireAdmin, (req, res) => {
+// Revoke all of a user's sessions (users:manage)
+router.put('/:id/revoke-sessions', verifyToken, requirePermission('users:manage'), (req, res) => {
     try {
         const { id } = req.params;
         const user = userOps.findById(id);
@@ -80,21 +315,243 @@ router.put('/:id/remove-admin', verifyToken, requireAdmin, (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Prevent removing own admin status
-        if (parseInt(id) === req.user.id) {
-            return res.status(400).json({ error: 'Cannot remove your own admin status' });
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        revokeAllSessions(id);
+        recordAudit(req, 'user_sessions_revoked', { target: userTarget(user) });
+        res.json({ message: 'All sessions revoked' });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Force a password change on the user's next sign-in (users:manage)
+router.put('/:id/force-password-reset', verifyToken, requirePermission('users:manage'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = userOps.findById(id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        userOps.setMustChangePassword(id, true);
+        // Existing sessions would otherwise carry on with the old password
+        revokeAllSessions(id);
+        recordAudit(req, 'user_password_reset_forced', {
+            target: userTarget(user),
+            before: { mustChangePassword: Boolean(user.mustChangePassword) },
+            after: { mustChangePassword: true }
+        });
+        res.json({ message: 'User must reset their password on next sign-in' });
+    } catch (error) {
+        console.error('Force password reset error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reset a user's two-factor enrolment, e.g. after a lost device (users:manage)
+router.put('/:id/reset-2fa', verifyToken, requirePermission('users:manage'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = userOps.findById(id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        userOps.disableTwoFactor(id);
+        recordAudit(req, 'user_2fa_reset', {
+            target: userTarget(user),
+            before: { totpEnabled: Boolean(user.totpEnabled) },
+            after: { totpEnabled: false }
+        });
+        res.json({ message: 'Two-factor authentication reset' });
+    } catch (error) {
+        console.error('Reset 2FA error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Let a staff account be linked on its next SSO sign-in by email; never automatic (users:manage)
+router.put('/:id/allow-sso-link', verifyToken, requirePermission('users:manage'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = userOps.findById(id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        if (!isStaff(user)) {
+            return res.status(400).json({ error: 'Only staff accounts need approval to link single sign-on' });
+        }
+
+        userOps.allowOidcLink(id);
+        recordAudit(req, 'user_sso_link_allowed', {
+            target: userTarget(user),
+            before: { oidcLinkAllowed: false },
+            after: { oidcLinkAllowed: true }
+        });
+        res.json({ message: `${user.email} can now link single sign-on on their next SSO sign-in` });
+    } catch (error) {
+        console.error('Allow SSO link error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Set the last day an account can sign in ({ accessEndDate: 'YYYY-MM-DD' }, or null for no end).
+ * Moving the date of an expired account forward reactivates it (users:manage).
+ */
+router.put('/:id/access-end-date', verifyToken, requirePermission('users:manage'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const accessEndDate = req.body.accessEndDate || null;
+        const user = userOps.findById(id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        if (user.status === 'deleted') {
+            return res.status(409).json({ error: ACCOUNT_DELETED });
+        }
+
+        if (accessEndDate) {
+            const dateError = validateAccessEndDate(accessEndDate);
+            if (dateError) {
+                return res.status(400).json({ error: dateError });
+            }
+            if (isLastSuperAdmin(user)) {
+                return res.status(400).json({ error: 'The last super admin cannot have an access end date' });
+            }
         }
 
-        userOps.removeAdmin(id);
-        res.json({ message: 'Admin role removed' });
+        userOps.setAccessEndDate(user.id, accessEndDate);
+        if (user.status === 'expired') {
+            userOps.approve(user.id, `Access extended by ${req.user.email}`);
+        }
+        auditUserChange(req, 'user_access_end_date_set', user);
+
+        res.json({
+            message: accessEndDate ? `Access ends after ${accessEndDate}` : 'Access end date removed',
+            reactivated: user.status === 'expired'
+        });
     } catch (error) {
-        console.error('Remove admin error:', error);
+        console.error('Set access end date error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Delete user (admin only)
-router.delete('/:id', verifyToken, requireAdmin, (req, res) => {
+/**
+ * View the portal as a regular user, e.g. to reproduce what their extension sees
+ * (users:impersonate). Needs a { reason }; { minutes } defaults to 15, at most 60.
+ * The token is set as a separate cookie and also returned for API clients.
+ */
+router.post('/:id/impersonate', verifyToken, requirePermission('users:impersonate'), (req, res) => {
+    try {
+        const user = userOps.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot impersonate yourself' });
+        }
+
+        if (isStaff(user)) {
+            return res.status(403).json({ error: 'Accounts with admin permissions cannot be impersonated' });
+        }
+
+        const statusError = getAccountStatusError(user);
+        if (statusError) {
+            return res.status(409).json(statusError);
+        }
+
+        const reason = parseReason(req.body.reason);
+        if (!reason) {
+            return res.status(400).json({ error: 'A reason is required to impersonate a user' });
+        }
+
+        const minutes = req.body.minutes === undefined ? DEFAULT_IMPERSONATION_MINUTES : Number(req.body.minutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_IMPERSONATION_MINUTES) {
+            return res.status(400).json({ error: `Impersonation can last between 1 and ${MAX_IMPERSONATION_MINUTES} minutes` });
+        }
+
+        const impersonation = startImpersonation(req.user, user, minutes, reason, req);
+        setImpersonationCookie(res, impersonation);
+
+        securityEventOps.record('impersonation_started', {
+            userId: user.id,
+            email: user.email,
+            ipAddress: req.ip,
+            details: `By ${req.user.email} for ${minutes} minutes: ${reason}`
+        });
+        recordAudit(req, 'impersonation_started', {
+            target: userTarget(user),
+            after: { impersonationId: impersonation.id, minutes, reason }
+        });
+
+        res.json({
+            message: `Viewing the portal as ${user.email} for ${minutes} minutes`,
+            token: impersonation.token,
+            expiresIn: impersonation.expiresIn
+        });
+    } catch (error) {
+        console.error('Impersonate user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Restore a deleted account to the state it was deleted in (users:manage)
+router.put('/:id/restore', verifyToken, requirePermission('users:manage'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = userOps.findById(id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
+        if (user.status !== 'deleted') {
+            return res.status(409).json({ error: 'This account is not deleted' });
+        }
+
+        restoreAccount(req, user);
+        res.json({ message: 'User restored' });
+    } catch (error) {
+        console.error('Restore user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Soft-delete a user; their usage history is kept and the account can be restored (users:manage)
+router.delete('/:id', verifyToken, requirePermission('users:manage'), (req, res) => {
     try {
         const { id } = req.params;
         const user = userOps.findById(id);
@@ -103,12 +560,24 @@ router.delete('/:id', verifyToken, requireAdmin, (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        if (!canManageUser(req, user)) {
+            return res.status(403).json({ error: MANAGE_DENIED });
+        }
+
         // Prevent deleting yourself
         if (parseInt(id) === req.user.id) {
             return res.status(400).json({ error: 'Cannot delete your own account' });
         }
 
-        userOps.delete(id);
+        if (user.status === 'deleted') {
+            return res.status(409).json({ error: 'This account is already deleted' });
+        }
+
+        if (isLastSuperAdmin(user)) {
+            return res.status(400).json({ error: 'Cannot delete the last super admin' });
+        }
+
+        deleteAccount(req, user);
         res.json({ message: 'User deleted successfully' });
     } catch (error) {
         console.error('Delete user error:', error);
@@ -116,15 +585,11 @@ router.delete('/:id', verifyToken, requireAdmin, (req, res) => {
     }
 });
 
-// Set Azure Config (admin only)
-router.put('/:id/apikey', verifyToken, requireAdmin, (req, res) => {
+// Assign a connection profile, or clear it with profileId null (keys:assign)
+router.put('/:id/connection', verifyToken, requirePermission('keys:assign'), (req, res) => {
     try {
         const { id } = req.params;
-        const { apiKey, resourceName, deploymentName, apiVersion } = req.body;
-
-        if (!apiKey) {
-            return res.status(400).json({ error: 'API Key is required' });
-        }
+        const { profileId } = req.body;
 
         const user = userOps.findById(id);
 
@@ -132,15 +597,283 @@ router.put('/:id/apikey', verifyToken, requireAdmin, (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        userOps.setAzureConfig(id, {
-            apiKey,
-            resourceName: resourceName || null,
-            deploymentName: deploymentName || null,
-            apiVersion: apiVersion || null
+        const profile = profileId ? connectionProfileOps.findById(profileId) : null;
+        if (profileId && !profile) {
+            return res.status(400).json({ error: 'Connection profile not found' });
+        }
+
+        assignConnectionProfile(req, user, profile);
+        res.json({ message: profile ? `Assigned connection profile ${profile.name}` : 'Connection profile removed' });
+    } catch (error) {
+        console.error('Set connection profile error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The permission a bulk request needs depends on its action
+const requireBulkPermission = (req, res, next) => {
+    const bulkAction = BULK_ACTIONS[req.body.action];
+    if (!bulkAction) {
+        return res.status(400).json({ error: `Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+    }
+    requirePermission(bulkAction.permission)(req, res, next);
+};
+
+/**
+ * Apply one action to many accounts: { action, userIds, profileId?, role?, reason? }.
+ * Every account is checked first and the changes are made in one transaction,
+ * so either all of them are applied or none are.
+ */
+router.post('/bulk', verifyToken, requireBulkPermission, (req, res) => {
+    try {
+        const { action, userIds, profileId, role, reason } = req.body;
+
+        if (!Array.isArray(userIds) || userIds.length === 0) {
+            return res.status(400).json({ error: 'Select at least one user' });
+        }
+        if (userIds.length > MAX_BULK_USERS) {
+            return res.status(400).json({ error: `At most ${MAX_BULK_USERS} users can be changed at once` });
+        }
+
+        const ids = [...new Set(userIds.map(id => parseInt(id)))];
+        if (ids.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'User IDs must be numbers' });
+        }
+
+        const users = ids.map(id => userOps.findById(id));
+        const missing = ids.filter((id, i) => !users[i]);
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Users not found: ${missing.join(', ')}` });
+        }
+
+        // Same rule as the single-user endpoints; assigning a profile doesn't act on the account itself
+        if (action !== 'assign-connection') {
+            const denied = users.filter(user => !canManageUser(req, user));
+            if (denied.length > 0) {
+                return res.status(403).json({ error: `${MANAGE_DENIED}: ${denied.map(u => u.email).join(', ')}` });
+            }
+        }
+
+        if (['suspend', 'delete', 'set-role'].includes(action) && ids.includes(req.user.id)) {
+            return res.status(400).json({ error: 'Remove your own account from the selection' });
+        }
+
+        // Deleted accounts can only be restored, and only deleted accounts can be
+        const wrongState = users.filter(user => (action === 'restore') !== (user.status === 'deleted'));
+        if (['approve', 'suspend', 'delete', 'restore'].includes(action) && wrongState.length > 0) {
+            return res.status(409).json({
+                error: `${action === 'restore' ? 'Not deleted' : 'Already deleted'}: ${wrongState.map(u => u.email).join(', ')}`
+            });
+        }
+
+        const profile = action === 'assign-connection' && profileId ? connectionProfileOps.findById(profileId) : null;
+        if (action === 'assign-connection' && profileId && !profile) {
+            return res.status(400).json({ error: 'Connection profile not found' });
+        }
+
+        if (action === 'set-role' && !isValidRole(role)) {
+            return res.status(400).json({ error: 'Unknown role' });
+        }
+
+        if (['suspend', 'delete', 'set-role'].includes(action)) {
+            const superAdminsLost = users.filter(u => u.role === SUPER_ADMIN_ROLE && u.status === 'active' &&
+                (action !== 'set-role' || role !== SUPER_ADMIN_ROLE)).length;
+            if (superAdminsLost > 0 && userOps.countSuperAdmins() - superAdminsLost < 1) {
+                return res.status(400).json({ error: 'This would leave the portal without a super admin' });
+            }
+        }
+
+        transaction(() => {
+            for (const user of users) {
+                if (action === 'approve') approveAccount(req, user);
+                else if (action === 'suspend') suspendAccount(req, user, parseReason(reason));
+                else if (action === 'delete') deleteAccount(req, user);
+                else if (action === 'restore') restoreAccount(req, user);
+                else if (action === 'assign-connection') assignConnectionProfile(req, user, profile);
+                else if (action === 'set-role') assignRole(req, user, role);
+            }
+        });
+
+        res.json({ message: `${BULK_ACTIONS[action].done} ${users.length} user(s)`, count: users.length });
+    } catch (error) {
+        console.error('Bulk user action error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Welcome emails for an import are sent this many at a time, after it responds
+const WELCOME_EMAIL_CONCURRENCY = 5;
+
+// Never throws; a failed email is logged and the user can use "Forgot password?"
+async function sendWelcomeEmails(invites, { portalUrl, importedBy }) {
+    const queue = [...invites];
+    const worker = async () => {
+        while (queue.length > 0) {
+            const { email, token } = queue.shift();
+            const setupUrl = `${portalUrl}/reset-password?welcome=1&token=${encodeURIComponent(token)}`;
+            try {
+                await sendMail({
+                    to: email,
+                    subject: 'Your CodeAlly Portal account is ready',
+                    text: `${importedBy} created a CodeAlly Portal account for you.\n\n` +
+                        `Open this link within ${WELCOME_TOKEN_TTL_MINUTES / (24 * 60)} days to choose your password:\n${setupUrl}\n\n` +
+                        `After that, use "Forgot password?" on the sign-in page to get a new link.`
+                });
+            } catch (mailError) {
+                console.error(`Welcome email error for ${email}:`, mailError);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(WELCOME_EMAIL_CONCURRENCY, queue.length) }, worker));
+}
+
+// Check one import row; returns the account to create or throws with the problem
+function parseImportRow(req, record, lookups) {
+    const email = (record.email || '').trim();
+    if (!EMAIL_REGEX.test(email)) {
+        throw new Error(email ? `Invalid email "${email}"` : 'Email is required');
+    }
+
+    const role = (record.role || '').trim().toLowerCase() || 'user';
+    if (!isValidRole(role)) {
+        throw new Error(`Unknown role "${record.role}"`);
+    }
+    if (role !== 'user' && !hasPermission(req.user, 'roles:assign')) {
+        throw new Error('Your role cannot assign roles');
+    }
+
+    let profile = null;
+    if ((record.connectionprofile || '').trim()) {
+        if (!hasPermission(req.user, 'keys:assign')) {
+            throw new Error('Your role cannot assign connection profiles');
+        }
+        profile = lookups.profiles.get(record.connectionprofile.trim().toLowerCase());
+        if (!profile) {
+            throw new Error(`Connection profile "${record.connectionprofile.trim()}" not found`);
+        }
+    }
+
+    let group = null;
+    if ((record.group || '').trim()) {
+        if (!hasPermission(req.user, 'groups:manage')) {
+            throw new Error('Your role cannot add users to groups');
+        }
+        group = lookups.groups.get(record.group.trim().toLowerCase());
+        if (!group) {
+            throw new Error(`Group "${record.group.trim()}" not found`);
+        }
+    }
+
+    return { email, role, profile, group };
+}
+
+/**
+ * Create approved accounts from CSV: { csv, sendInvites = true }.
+ * Columns: email (required), role, connectionProfile, group (by name).
+ * Existing emails are skipped; any invalid row rejects the whole file.
+ * New accounts have no password; welcome emails with a link to choose one are
+ * sent after the response, so a failed email only shows in the server log.
+ */
+router.post('/import', verifyToken, requirePermission('users:approve'), requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { csv, sendInvites = true } = req.body;
+
+        if (!csv || typeof csv !== 'string') {
+            return res.status(400).json({ error: 'CSV content is required' });
+        }
+
+        let rows;
+        try {
+            rows = parseCsv(csv);
+        } catch (parseError) {
+            return res.status(400).json({ error: `Could not read the CSV: ${parseError.message}` });
+        }
+
+        const header = (rows.shift() || []).map(column => column.trim().toLowerCase());
+        if (!header.includes('email')) {
+            return res.status(400).json({ error: 'The first row must be a header with an "email" column' });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({ error: 'The CSV has no accounts' });
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} accounts can be imported at once` });
+        }
+
+        const lookups = {
+            profiles: new Map(connectionProfileOps.getAll().map(p => [p.name.toLowerCase(), p])),
+            groups: new Map(groupOps.getAll().map(g => [g.name.toLowerCase(), g]))
+        };
+
+        const accounts = [];
+        const skipped = [];
+        const errors = [];
+        const seen = new Set();
+
+        rows.forEach((row, i) => {
+            // Line numbers as shown in a spreadsheet, counting the header
+            const line = i + 2;
+            const record = Object.fromEntries(header.map((column, index) => [column, row[index] || '']));
+            try {
+                const account = parseImportRow(req, record, lookups);
+                const key = account.email.toLowerCase();
+                if (seen.has(key)) {
+                    throw new Error(`${account.email} appears more than once`);
+                }
+                seen.add(key);
+
+                if (userOps.findByEmailIgnoreCase(account.email)) {
+                    skipped.push(account.email);
+                } else {
+                    accounts.push(account);
+                }
+            } catch (rowError) {
+                errors.push({ line, error: rowError.message });
+            }
+        });
+
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'The CSV has errors; nothing was imported', errors });
+        }
+
+        const invites = [];
+        const created = transaction(() => accounts.map(account => {
+            // No password until the user chooses one from the welcome email or "Forgot password?"
+            const user = userOps.create(account.email, null, {
+                role: account.role,
+                isApproved: 1,
+                approvalReason: `Imported by ${req.user.email}`
+            });
+            if (account.profile) {
+                userOps.setConnectionProfile(user.id, account.profile.id);
+            }
+            if (account.group) {
+                groupOps.addMember(account.group.id, user.id);
+            }
+
+            recordAudit(req, 'user_imported', {
+                target: userTarget(user),
+                after: {
+                    ...userSnapshot(userOps.findById(user.id)),
+                    group: account.group ? account.group.name : null
+                }
+            });
+            if (sendInvites) {
+                invites.push({ email: user.email, token: issuePasswordResetToken(user.id, WELCOME_TOKEN_TTL_MINUTES) });
+            }
+            return user;
+        }));
+
+        res.status(201).json({
+            message: `Imported ${created.length} account(s)${skipped.length ? `, skipped ${skipped.length} existing` : ''}`,
+            created: created.map(user => user.email),
+            skipped,
+            invitesQueued: invites.length
         });
-        res.json({ message: 'Azure configuration updated successfully' });
+
+        sendWelcomeEmails(invites, { portalUrl: getPortalUrl(req), importedBy: req.user.email });
     } catch (error) {
-        console.error('Set Azure config error:', error);
+        console.error('Import users error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
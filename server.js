@@ -4,15 +4,45 @@ const cookieParser = require('cookie-parser');
 const path = require('path');
 
 const { initDatabase } = require('./models/database');
+const { verifyOrigin } = require('./middleware/csrf');
+const { checkMasterKey } = require('./utils/secrets');
+const { startExpirySweep } = require('./utils/accountStatus');
+const { startSessionSweep } = require('./utils/llmSessions');
+const { ensureDefaultToolSet } = require('./utils/toolSets');
+const { ensureDefaultModes } = require('./utils/agentModes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Placeholder secrets that must never sign tokens in production
+const KNOWN_DEFAULT_JWT_SECRETS = ['fallback-secret-key', 'your-super-secret-jwt-key-change-in-production'];
+
+// Refuse to run in production with a missing or well-known JWT secret
+function checkJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    const isDefault = !secret || KNOWN_DEFAULT_JWT_SECRETS.includes(secret);
+
+    if (isDefault && process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET is missing or set to a default value. Set a strong random JWT_SECRET before starting in production.');
+    }
+    if (isDefault) {
+        console.warn('WARNING: JWT_SECRET is missing or set to a default value. Do not use this configuration in production.');
+    }
+}
+
+// Behind Azure App Service's front end, client IPs arrive in X-Forwarded-For
+if (process.env.WEBSITE_SITE_NAME !== undefined || process.env.TRUST_PROXY === 'true') {
+    app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
+// Block cross-site state-changing API requests (CSRF tokens are checked per route)
+app.use('/api', verifyOrigin);
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -21,6 +51,10 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+app.get('/setup', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'setup.html'));
+});
+
 app.get('/signup', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'signup.html'));
 });
@@ -33,6 +67,18 @@ app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
+app.get('/forgot-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'forgot-password.html'));
+});
+
+app.get('/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
+app.get('/security', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'security.html'));
+});
+
 // VS Code extension login - dedicated route for OAuth-style flow
 app.get('/vscode-login', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'vscode-login.html'));
@@ -41,25 +87,55 @@ app.get('/vscode-login', (req, res) => {
 // Initialize database and start server
 async function startServer() {
     try {
+        checkJwtSecret();
+
+        // Stored API keys are encrypted; refuse to start without a working master key
+        const masterKeyVersion = checkMasterKey();
+        console.log(`Secret encryption ready (master key version ${masterKeyVersion})`);
+
         // Initialize database first
         await initDatabase();
         console.log('Database initialized');
+        ensureDefaultToolSet();
+        ensureDefaultModes();
 
         // Load routes after database is ready
         const authRoutes = require('./routes/auth');
+        const oidcRoutes = require('./routes/oidc');
         const userRoutes = require('./routes/users');
         const fileRoutes = require('./routes/files');
         const keyRoutes = require('./routes/key');
         const llmRoutes = require('./routes/llm');
         const logsRoutes = require('./routes/logs');
+        const settingsRoutes = require('./routes/settings');
+        const setupRoutes = require('./routes/setup');
+        const inviteRoutes = require('./routes/invites');
+        const tokenRoutes = require('./routes/tokens');
+        const connectionRoutes = require('./routes/connections');
+        const groupRoutes = require('./routes/groups');
+        const auditRoutes = require('./routes/audit');
+        const meRoutes = require('./routes/me');
+        const toolSetRoutes = require('./routes/toolSets');
+        const agentModeRoutes = require('./routes/agentModes');
 
         // API Routes
+        app.use('/api/auth/oidc', oidcRoutes);
         app.use('/api/auth', authRoutes);
         app.use('/api/users', userRoutes);
         app.use('/api/files', fileRoutes);
         app.use('/api/key', keyRoutes);
         app.use('/api/llm', llmRoutes);
         app.use('/api/logs', logsRoutes);
+        app.use('/api/settings', settingsRoutes);
+        app.use('/api/setup', setupRoutes);
+        app.use('/api/invites', inviteRoutes);
+        app.use('/api/tokens', tokenRoutes);
+        app.use('/api/connections', connectionRoutes);
+        app.use('/api/groups', groupRoutes);
+        app.use('/api/audit', auditRoutes);
+        app.use('/api/me', meRoutes);
+        app.use('/api/tool-sets', toolSetRoutes);
+        app.use('/api/agent-modes', agentModeRoutes);
 
         // 404 handler
         app.use((req, res) => {
@@ -72,9 +148,19 @@ async function startServer() {
             res.status(500).json({ error: 'Internal server error' });
         });
 
+        // Expire accounts past their access end date, now and hourly
+        startExpirySweep();
+        startSessionSweep();
+
+        // First run: no admin exists yet, so hand out a one-time setup token
+        const setupToken = setupRoutes.initSetupToken();
+
         app.listen(PORT, () => {
             console.log(`Server running on http://localhost:${PORT}`);
-            console.log(`Default admin: admin@codeally.com / Admin@123`);
+            if (setupToken) {
+                console.log('No admin account exists. Create one at /setup with this one-time setup token:');
+                console.log(`    ${setupToken}`);
+            }
         });
     } catch (error) {
         console.error('Failed to start server:', error);
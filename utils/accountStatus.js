@@ -0,0 +1,104 @@
+const { userOps, securityEventOps, auditOps } = require('../models/database');
+
+/**
+ * Account lifecycle. New accounts are pending until approved, then active.
+ * Admins can suspend an account (with a reason) or soft-delete it; accounts
+ * with an access end date become expired once the date has passed. Only
+ * active and pending accounts can sign in, and only active ones can use the portal.
+ */
+const ACCOUNT_STATUSES = ['pending', 'active', 'suspended', 'expired', 'deleted'];
+
+// How often the expiry sweep runs
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Access end dates are the last day of access, in UTC
+function isAccessEnded(user) {
+    return Boolean(user.accessEndDate) && user.accessEndDate < today();
+}
+
+// Returns an error message for an invalid access end date, or null
+function validateAccessEndDate(date) {
+    if (!DATE_REGEX.test(date) || Number.isNaN(Date.parse(date))) {
+        return 'Access end date must be a date like 2024-01-31';
+    }
+    if (date < today()) {
+        return 'Access end date cannot be in the past';
+    }
+    return null;
+}
+
+/**
+ * Why this account may not sign in or keep using its sessions, as an
+ * { error, code } response body, or null if it may. An end date that passed
+ * since the last sweep counts as expired straight away.
+ */
+function getAccountStatusError(user) {
+    if (user.status === 'suspended') {
+        return {
+            error: user.statusReason ? `This account has been suspended: ${user.statusReason}` : 'This account has been suspended',
+            code: 'ACCOUNT_SUSPENDED'
+        };
+    }
+    if (user.status === 'expired' || (['active', 'pending'].includes(user.status) && isAccessEnded(user))) {
+        return { error: 'Access for this account has ended. Contact an administrator to extend it.', code: 'ACCOUNT_EXPIRED' };
+    }
+    if (user.status === 'deleted') {
+        return { error: 'This account has been deleted', code: 'ACCOUNT_DELETED' };
+    }
+    return null;
+}
+
+// Expire every account whose access end date has passed
+function expireAccounts() {
+    const expired = userOps.expireEnded();
+
+    for (const user of expired) {
+        securityEventOps.record('account_expired', {
+            userId: user.id,
+            email: user.email,
+            details: `Access ended on ${user.accessEndDate}`
+        });
+        auditOps.record({
+            action: 'user_expired',
+            targetType: 'user',
+            targetId: user.id,
+            targetLabel: user.email,
+            before: { status: user.status, accessEndDate: user.accessEndDate },
+            after: { status: 'expired', accessEndDate: user.accessEndDate }
+        });
+    }
+
+    if (expired.length > 0) {
+        console.log(`Expired ${expired.length} account(s) past their access end date`);
+    }
+    return expired;
+}
+
+// Run the sweep now and then every hour
+function startExpirySweep() {
+    const sweep = () => {
+        try {
+            expireAccounts();
+        } catch (error) {
+            console.error('Account expiry sweep error:', error);
+        }
+    };
+
+    sweep();
+    setInterval(sweep, EXPIRY_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    ACCOUNT_STATUSES,
+    isAccessEnded,
+    validateAccessEndDate,
+    getAccountStatusError,
+    expireAccounts,
+    startExpirySweep
+};
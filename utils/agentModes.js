@@ -0,0 +1,166 @@
+const { agentModeOps, toolSetOps } = require('../models/database');
+const { getSessionTools } = require('./toolSets');
+
+/**
+ * Agent modes: named setups the extension picks for a session by id, each with its
+ * own instructions, tools (a subset of the session's tool set), model and temperature.
+ * Editing a mode's setup adds a version; sessions record and keep the version they
+ * started on. Sessions from extensions that still send their own instructions run
+ * without a mode.
+ */
+
+const MODE_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,47}$/;
+const DEPLOYMENT_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_INSTRUCTIONS_LENGTH = 32000;
+const MAX_TEMPERATURE = 2;
+
+// The instructions sessions used before modes existed
+const GENERAL_INSTRUCTIONS = 'You are an expert AI coding assistant.';
+
+// Seeded on first start
+const DEFAULT_MODES = [
+    {
+        id: 'general',
+        name: 'General coding',
+        description: 'Reads and edits code with every tool',
+        instructions: GENERAL_INSTRUCTIONS,
+        allowedTools: null
+    },
+    {
+        id: 'wcag-audit',
+        name: 'WCAG audit',
+        description: 'Reviews the project for accessibility issues and writes a report; does not change files',
+        instructions: 'You are an accessibility auditor. Review the project\'s markup, styles and scripts against WCAG 2.2 level AA. ' +
+            'Record each problem with report_issue, citing the success criterion, the file and line, and a suggested fix. ' +
+            'When the review is complete, summarise the findings with generate_report. Do not modify any files.',
+        allowedTools: ['read_file', 'list_directory', 'grep_search', 'report_issue', 'generate_report', 'attempt_completion']
+    },
+    {
+        id: 'fix',
+        name: 'Fix mode',
+        description: 'Fixes reported issues with small, targeted edits',
+        instructions: 'You are an expert AI coding assistant fixing reported issues, such as accessibility findings. ' +
+            'Read the affected files first, make the smallest change that resolves each issue without altering unrelated behaviour, ' +
+            'and summarise every change with attempt_completion.',
+        allowedTools: ['read_file', 'write_file', 'list_directory', 'grep_search', 'attempt_completion']
+    }
+];
+
+const DEFAULT_MODE_ID = 'general';
+
+// Returns an error message for an invalid mode id, or null
+function validateModeId(id) {
+    if (typeof id !== 'string' || !MODE_ID_REGEX.test(id)) {
+        return 'Mode ID must be 1-48 lowercase letters, digits or dashes, e.g. wcag-audit';
+    }
+    return null;
+}
+
+// Returns an error message for an invalid name or description, or null; undefined fields are skipped
+function validateModeDetails({ name, description }) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+        return `Name must be 1-${MAX_NAME_LENGTH} characters`;
+    }
+    if (description !== undefined && description !== null &&
+        (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+        return `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Returns an error message for invalid mode settings, or null. allowedTools may be
+ * null (every tool) or names from any tool set; model is a deployment name or null
+ * for the user's own deployment; temperature is 0-2 or null for the model default.
+ */
+function validateModeSettings({ instructions, allowedTools, model, temperature }) {
+    if (typeof instructions !== 'string' || !instructions.trim() || instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+        return `Instructions must be 1-${MAX_INSTRUCTIONS_LENGTH} characters`;
+    }
+
+    if (allowedTools !== null && allowedTools !== undefined) {
+        if (!Array.isArray(allowedTools) || allowedTools.length === 0 || !allowedTools.every(name => typeof name === 'string')) {
+            return 'Allowed tools must be a non-empty list of tool names, or null for every tool';
+        }
+        const known = new Set(toolSetOps.getAll().flatMap(toolSet => toolSet.tools.map(tool => tool.function.name)));
+        const unknown = allowedTools.find(name => !known.has(name));
+        if (unknown) {
+            return `Tool "${unknown}" is not in any tool set`;
+        }
+    }
+
+    if (model !== null && model !== undefined && (typeof model !== 'string' || !DEPLOYMENT_REGEX.test(model))) {
+        return 'Model must be an Azure OpenAI deployment name, or empty for the user\'s own deployment';
+    }
+
+    if (temperature !== null && temperature !== undefined &&
+        (typeof temperature !== 'number' || temperature < 0 || temperature > MAX_TEMPERATURE)) {
+        return `Temperature must be a number from 0 to ${MAX_TEMPERATURE}, or empty for the model default`;
+    }
+
+    return null;
+}
+
+// Seed the built-in modes the first time the portal starts
+function ensureDefaultModes() {
+    if (agentModeOps.count() > 0) return;
+
+    for (const { instructions, allowedTools, ...mode } of DEFAULT_MODES) {
+        agentModeOps.create(mode, { instructions, allowedTools });
+    }
+    agentModeOps.setDefaultId(DEFAULT_MODE_ID);
+    console.log(`Created ${DEFAULT_MODES.length} default agent modes`);
+}
+
+/**
+ * The mode for a new session, as { mode } with the settings of its current version,
+ * or { status, body } refusing the session. Without a mode id the default mode is
+ * used, unless the extension sent its own instructions: then { mode: null }.
+ */
+function resolveMode(modeId, instructions) {
+    if (modeId === undefined || modeId === null) {
+        if (instructions !== undefined && instructions !== null) {
+            return { mode: null };
+        }
+        modeId = agentModeOps.getDefaultId();
+    } else if (instructions !== undefined && instructions !== null) {
+        return { status: 400, body: { error: 'INVALID_REQUEST', message: 'Send either modeId or instructions, not both' } };
+    }
+
+    const mode = typeof modeId === 'string' ? agentModeOps.findById(modeId) : null;
+    if (!mode || !mode.enabled) {
+        return {
+            status: 404,
+            body: { error: 'MODE_NOT_FOUND', message: `There is no agent mode "${modeId}". Pick one from /api/llm/modes.` }
+        };
+    }
+
+    return { mode };
+}
+
+// Options for a run of this session: its tool set's tools limited to its mode's, and the mode's temperature
+function getRunOptions(session) {
+    const tools = getSessionTools(session);
+    const modeVersion = session.modeId ? agentModeOps.getVersion(session.modeId, session.modeVersion) : null;
+
+    if (!modeVersion) {
+        return { tools };
+    }
+
+    return {
+        tools: modeVersion.allowedTools ? tools.filter(tool => modeVersion.allowedTools.includes(tool.function.name)) : tools,
+        ...(modeVersion.temperature !== null ? { temperature: modeVersion.temperature } : {})
+    };
+}
+
+module.exports = {
+    GENERAL_INSTRUCTIONS,
+    validateModeId,
+    validateModeDetails,
+    validateModeSettings,
+    ensureDefaultModes,
+    resolveMode,
+    getRunOptions
+};
@@ -0,0 +1,64 @@
+const { auditOps } = require('../models/database');
+
+/**
+ * Audit trail for privileged actions. Each entry records who did what to which
+ * target, the target's state before and after, and where the request came from.
+ * Fields that hold secrets (API keys, passwords, tokens, hashes) are stored as
+ * [REDACTED] so the log itself never leaks them.
+ */
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD_REGEX = /(apiKey|secret|password|hash|token)$/i;
+const MAX_USER_AGENT_LENGTH = 500;
+
+function redact(values) {
+    if (values === null || values === undefined) return null;
+    if (Array.isArray(values)) return values.map(redact);
+    if (typeof values !== 'object') return values;
+
+    return Object.fromEntries(Object.entries(values).map(([field, value]) => {
+        if (SECRET_FIELD_REGEX.test(field)) {
+            return [field, value ? REDACTED : value];
+        }
+        return [field, redact(value)];
+    }));
+}
+
+// The parts of an account that privileged actions change
+function userSnapshot(user) {
+    return {
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        accessEndDate: user.accessEndDate || null,
+        connectionProfileId: user.connectionProfileId || null
+    };
+}
+
+/**
+ * Record a privileged action taken by req.user, or by the admin while impersonating.
+ * target: { type, id, label } of the thing acted on; before/after describe its state.
+ */
+function recordAudit(req, action, { target = {}, before = null, after = null } = {}) {
+    const userAgent = req.get('user-agent');
+    const actor = req.impersonation ? req.impersonation.admin : req.user;
+
+    return auditOps.record({
+        actorId: actor ? actor.id : null,
+        actorEmail: actor ? actor.email : null,
+        action,
+        targetType: target.type || null,
+        targetId: target.id === undefined ? null : target.id,
+        targetLabel: target.label || null,
+        before: redact(before),
+        after: redact(after),
+        ipAddress: req.ip,
+        userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null
+    });
+}
+
+module.exports = {
+    REDACTED,
+    redact,
+    userSnapshot,
+    recordAudit
+};
@@ -0,0 +1,80 @@
+/**
+ * CSV for exports and imports (RFC 4180: comma-separated, double-quoted fields,
+ * "" for a literal quote, CRLF line endings on output).
+ */
+
+// Quote every field; a leading = + - or @ is escaped so spreadsheets don't run it as a formula
+function toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+// rows are objects; columns picks and orders their fields
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => toCsvField(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows, each an array of strings.
+ * Blank lines are skipped; throws on an unterminated quoted field.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = String(text).replace(/^\uFEFF/, '');
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+module.exports = {
+    toCsvField,
+    toCsv,
+    parseCsv
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { assistantOps, llmLogOps } = require('../models/database');
+const {
+    PORTAL_METADATA,
+    deleteIgnoringNotFound,
+    getIdleSessions,
+    expireIdleSessions,
+    cleanUpSession
+} = require('./llmSessions');
+
+/**
+ * Shared assistants. Sessions with the same resource, deployment and instructions run
+ * on one cached assistant instead of creating their own; when the tool definitions
+ * change, the cached assistant is updated in place. Assistants and threads the portal
+ * no longer needs are deleted by an admin from the Connection Profiles section.
+ */
+
+const ASSISTANT_NAME = 'Agentic Coder';
+
+// Cached assistants unused for this long are deleted by garbage collection
+const ASSISTANT_RETENTION_DAYS = 30;
+
+// Finished sessions whose threads one garbage collection run deletes
+const GC_THREAD_LIMIT = 500;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Identifies a set of tool definitions; changes whenever any definition does
+function getToolsVersion(tools) {
+    return sha256(JSON.stringify(tools)).slice(0, 16);
+}
+
+/**
+ * The id of an assistant for this profile's deployment with these instructions and
+ * tools, reusing the cached one when there is one. Creates an assistant only the
+ * first time a combination is used, or if the cached one was deleted on Azure.
+ */
+async function getAssistant(client, profile, instructions, tools) {
+    const instructionsHash = sha256(instructions);
+    const toolsVersion = getToolsVersion(tools);
+    const metadata = { ...PORTAL_METADATA, instructionsHash: instructionsHash.slice(0, 16), toolsVersion };
+
+    const cached = assistantOps.findByKey(profile.resourceName, profile.deployment, instructionsHash);
+    if (cached) {
+        try {
+            if (cached.toolsVersion !== toolsVersion) {
+                await client.beta.assistants.update(cached.assistantId, { tools, metadata });
+                assistantOps.setToolsVersion(cached.id, toolsVersion);
+                console.log(`[LLM] Assistant ${cached.assistantId} updated to tools ${toolsVersion}`);
+            }
+            assistantOps.markUsed(cached.id);
+            return cached.assistantId;
+        } catch (error) {
+            if (error?.status !== 404) throw error;
+            // Deleted outside the portal; create a replacement
+            assistantOps.delete(cached.id);
+        }
+    }
+
+    const assistant = await client.beta.assistants.create({
+        name: ASSISTANT_NAME,
+        instructions,
+        tools,
+        model: profile.deployment,
+        metadata
+    });
+
+    const id = assistantOps.create({
+        assistantId: assistant.id,
+        resourceName: profile.resourceName,
+        deploymentName: profile.deployment,
+        instructionsHash,
+        toolsVersion
+    });
+
+    // A concurrent request cached one first; use that and drop ours
+    if (!id) {
+        await client.beta.assistants.del(assistant.id).catch(error => {
+            console.error(`[LLM] Failed to delete duplicate assistant ${assistant.id}:`, error.message);
+        });
+        return assistantOps.findByKey(profile.resourceName, profile.deployment, instructionsHash).assistantId;
+    }
+
+    console.log(`[LLM] Assistant created: ${assistant.id} (${profile.resourceName}/${profile.deployment})`);
+    return assistant.id;
+}
+
+// Assistants created before they were tagged only carry the portal's name
+function isPortalAssistant(assistant) {
+    return assistant.metadata?.createdBy === PORTAL_METADATA.createdBy || assistant.name === ASSISTANT_NAME;
+}
+
+function isRecentlyUsed(cached) {
+    const lastUsed = Date.parse(`${cached.lastUsedAt.replace(' ', 'T')}Z`);
+    return lastUsed >= Date.now() - ASSISTANT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Whether a portal assistant can be deleted; checked again right before deleting, as sessions may have started since
+function isStale(assistantId) {
+    const cached = assistantOps.findByAssistantId(assistantId);
+    return !llmLogOps.isAssistantInUse(assistantId) && !(cached && isRecentlyUsed(cached));
+}
+
+function forgetAssistant(assistantId) {
+    const cached = assistantOps.findByAssistantId(assistantId);
+    if (cached) assistantOps.delete(cached.id);
+}
+
+/**
+ * Portal-created assistants and threads on a profile's resource that are no longer
+ * needed. Assistants are stale if no open session uses them and they are either not
+ * cached (one per session, from older versions) or cached but unused for
+ * ASSISTANT_RETENTION_DAYS. Azure can't list threads, so threads come from the
+ * sessions table: finished sessions not cleaned up yet and open ones idle long
+ * enough to expire. Cached assistants missing from the resource are reported too.
+ */
+async function findGarbage(client, profile) {
+    const cachedById = new Map(assistantOps.getForResource(profile.resourceName).map(row => [row.assistantId, row]));
+    const onResource = new Set();
+    const assistants = [];
+
+    for await (const assistant of client.beta.assistants.list({ limit: 100 })) {
+        onResource.add(assistant.id);
+        if (!isPortalAssistant(assistant) || !isStale(assistant.id)) continue;
+
+        const cached = cachedById.get(assistant.id);
+        assistants.push({
+            assistantId: assistant.id,
+            name: assistant.name,
+            model: assistant.model,
+            createdAt: new Date(assistant.created_at * 1000).toISOString(),
+            reason: cached ? `unused for ${ASSISTANT_RETENTION_DAYS} days` : 'not shared by the portal'
+        });
+    }
+
+    const threads = [
+        ...llmLogOps.getSessionsToCleanUp(GC_THREAD_LIMIT, profile.resourceName),
+        ...getIdleSessions(profile.resourceName)
+    ].map(session => ({
+        threadId: session.threadId,
+        userEmail: session.userEmail,
+        status: session.status,
+        lastActivityAt: session.lastActivityAt
+    }));
+
+    const missingAssistants = [...cachedById.values()]
+        .filter(row => !onResource.has(row.assistantId))
+        .map(row => row.assistantId);
+
+    return { assistants, threads, missingAssistants };
+}
+
+/**
+ * Delete what findGarbage reports. Failures are counted and left for the next run.
+ * Returns the report with deleted and failed counts.
+ */
+async function collectGarbage(client, profile) {
+    const garbage = await findGarbage(client, profile);
+    const result = { ...garbage, deletedAssistants: 0, deletedThreads: 0, failed: 0 };
+
+    for (const { assistantId } of garbage.assistants) {
+        if (!isStale(assistantId)) continue;
+        try {
+            await deleteIgnoringNotFound(() => client.beta.assistants.del(assistantId));
+            forgetAssistant(assistantId);
+            result.deletedAssistants++;
+        } catch (error) {
+            console.error(`[LLM] GC failed to delete assistant ${assistantId}:`, error.message);
+            result.failed++;
+        }
+    }
+
+    garbage.missingAssistants.forEach(forgetAssistant);
+
+    expireIdleSessions(profile.resourceName);
+    for (const session of llmLogOps.getSessionsToCleanUp(GC_THREAD_LIMIT, profile.resourceName)) {
+        try {
+            await cleanUpSession(session);
+            result.deletedThreads++;
+        } catch (error) {
+            console.error(`[LLM] GC failed to clean up session ${session.threadId}:`, error.message);
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    ASSISTANT_RETENTION_DAYS,
+    getToolsVersion,
+    getAssistant,
+    findGarbage,
+    collectGarbage
+};
@@ -0,0 +1,233 @@
+const { AzureOpenAI } = require('openai');
+const { connectionProfileOps, assistantOps, llmLogOps } = require('../models/database');
+
+/**
+ * Assistant sessions: one Azure thread per editor chat, run on an assistant shared
+ * with other chats (see llmAssistants.js). Each session is stored in llm_sessions with
+ * its owner, assistant and the connection profile it was created on, so any instance
+ * reading the database can resume it, including after a restart. Only the Azure
+ * clients are cached in memory.
+ */
+
+// Sessions without a request for this long expire, and their assistant and thread are deleted
+const SESSION_IDLE_HOURS = 24;
+const SESSION_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+// Finished sessions whose Azure objects are deleted per sweep
+const CLEANUP_BATCH_SIZE = 50;
+
+// Sessions of the chat completions passthrough only group usage logs; they have no thread
+const COMPLETIONS_ASSISTANT_ID = 'chat-completions';
+
+// Tags the assistants and threads the portal creates, so they can be told apart on the resource
+const PORTAL_METADATA = { createdBy: 'agentic-coder-portal' };
+
+// A failed request leaves the session usable
+const RESUMABLE_STATUSES = ['active', 'error'];
+
+const IDLE_MESSAGE = `Expired after ${SESSION_IDLE_HOURS} hours without activity`;
+
+// threadId -> { client, profileUpdatedAt }
+const sessionClients = new Map();
+
+// Create an Azure OpenAI client for a connection profile
+function getAzureClient(profile) {
+    return new AzureOpenAI({
+        apiKey: profile.apiKey,
+        endpoint: `https://${profile.resourceName}.openai.azure.com/`,
+        apiVersion: profile.apiVersion || '2024-05-01-preview',
+        deployment: profile.deployment,
+    });
+}
+
+function isAssistantSession(session) {
+    return session.assistantId !== COMPLETIONS_ASSISTANT_ID;
+}
+
+// SQLite timestamps are UTC without a zone
+function isIdle(session) {
+    const lastActivity = Date.parse(`${(session.lastActivityAt || session.startedAt).replace(' ', 'T')}Z`);
+    return lastActivity < Date.now() - SESSION_IDLE_HOURS * 60 * 60 * 1000;
+}
+
+function notFound(message) {
+    return { status: 404, body: { error: 'SESSION_NOT_FOUND', message } };
+}
+
+// Record a new assistant session and cache its client; setup is { toolSetVersion, modeId, modeVersion }
+function registerSession(threadId, assistantId, user, profile, client, setup) {
+    llmLogOps.createSession(threadId, assistantId, user.id, user.email, {
+        profileId: profile.id,
+        resourceName: profile.resourceName,
+        deploymentName: profile.deployment
+    }, setup);
+    sessionClients.set(threadId, { client, profileUpdatedAt: profile.updatedAt });
+}
+
+/**
+ * Load the user's session and a client for it. Returns { session, client }, or
+ * { status, body } with the error response. Threads and assistants live on the Azure
+ * resource, so a session stays on its original profile even if the user has been
+ * repointed since; the client is rebuilt when the profile's key is rotated.
+ */
+function resolveSession(threadId, user) {
+    const session = llmLogOps.getSessionByThreadId(threadId);
+
+    if (!session || !isAssistantSession(session) || !RESUMABLE_STATUSES.includes(session.status)) {
+        return notFound('Thread session not found. Call /assistant first.');
+    }
+
+    if (session.userId !== user.id) {
+        return { status: 403, body: { error: 'UNAUTHORIZED', message: 'Not authorized to access this session' } };
+    }
+
+    if (isIdle(session)) {
+        endSession(session, 'expired', IDLE_MESSAGE);
+        return notFound(`This session expired after ${SESSION_IDLE_HOURS} hours without activity. Call /assistant to start a new one.`);
+    }
+
+    // Sessions from before connections were recorded continue on the user's current profile
+    const profile = session.profileId
+        ? connectionProfileOps.findById(session.profileId)
+        : connectionProfileOps.findForUser(user.id);
+
+    if (!profile || (session.resourceName && profile.resourceName !== session.resourceName)) {
+        endSession(session, 'expired', 'The connection profile this session was created on has changed');
+        return notFound('The connection this session was started on has changed. Call /assistant to start a new one.');
+    }
+
+    if (!session.profileId) {
+        llmLogOps.setSessionConnection(threadId, {
+            profileId: profile.id,
+            resourceName: profile.resourceName,
+            deploymentName: profile.deployment
+        });
+    }
+
+    let cached = sessionClients.get(threadId);
+    if (!cached || cached.profileUpdatedAt !== profile.updatedAt) {
+        cached = { client: getAzureClient(profile), profileUpdatedAt: profile.updatedAt };
+        sessionClients.set(threadId, cached);
+    }
+
+    return { session, client: cached.client };
+}
+
+// The user's open session, or null; for ending it
+function findOpenSession(threadId, user) {
+    const session = llmLogOps.getSessionByThreadId(threadId);
+    if (!session || session.userId !== user.id || !isAssistantSession(session) || !RESUMABLE_STATUSES.includes(session.status)) {
+        return null;
+    }
+    return session;
+}
+
+// Azure reports objects that are already gone as 404; anything else is a real failure
+async function deleteIgnoringNotFound(request) {
+    try {
+        await request();
+    } catch (error) {
+        if (error?.status !== 404) throw error;
+    }
+}
+
+// Delete an assistant and thread, e.g. when a session could not be recorded; logs failures
+async function discardAzureObjects(client, { threadId, assistantId }) {
+    try {
+        if (threadId) await deleteIgnoringNotFound(() => client.beta.threads.del(threadId));
+        if (assistantId) await deleteIgnoringNotFound(() => client.beta.assistants.del(assistantId));
+    } catch (error) {
+        console.error('[LLM] Failed to delete Azure objects:', error.message);
+    }
+}
+
+// Sessions created before assistants were shared had an assistant of their own
+function hasOwnAssistant(session) {
+    return !assistantOps.findByAssistantId(session.assistantId) && !llmLogOps.isAssistantInUse(session.assistantId);
+}
+
+/**
+ * Delete a finished session's thread, and its assistant if no other session uses it.
+ * Sessions whose profile was deleted or repointed to another resource can't be reached
+ * any more and are only marked. Throws if Azure fails, leaving the session for the next sweep.
+ */
+async function cleanUpSession(session) {
+    const profile = session.profileId ? connectionProfileOps.findById(session.profileId) : null;
+
+    if (profile && profile.resourceName === session.resourceName) {
+        const client = getAzureClient(profile);
+        await deleteIgnoringNotFound(() => client.beta.threads.del(session.threadId));
+        if (hasOwnAssistant(session)) {
+            await deleteIgnoringNotFound(() => client.beta.assistants.del(session.assistantId));
+        }
+    }
+
+    llmLogOps.markSessionCleanedUp(session.threadId);
+}
+
+// Mark a session finished ('completed' or 'expired') and delete its Azure objects in the background
+function endSession(session, status, message = null) {
+    llmLogOps.updateSessionStatus(session.threadId, status, message);
+    sessionClients.delete(session.threadId);
+
+    cleanUpSession(session).catch(error => {
+        console.error(`[LLM] Failed to clean up session ${session.threadId}; will retry:`, error.message);
+    });
+}
+
+// Open sessions that have been idle long enough to expire, optionally only those on one resource
+function getIdleSessions(resourceName = null) {
+    return llmLogOps.getIdleSessions(SESSION_IDLE_HOURS, resourceName).filter(isAssistantSession);
+}
+
+// Expire idle sessions; their Azure objects are deleted by cleanUpSession afterwards
+function expireIdleSessions(resourceName = null) {
+    const idle = getIdleSessions(resourceName);
+    for (const session of idle) {
+        llmLogOps.updateSessionStatus(session.threadId, 'expired', IDLE_MESSAGE);
+        sessionClients.delete(session.threadId);
+    }
+    if (idle.length > 0) {
+        console.log(`[LLM] Expired ${idle.length} idle session(s)`);
+    }
+    return idle;
+}
+
+// Expire idle sessions, then delete the Azure objects of finished ones
+async function sweepSessions() {
+    expireIdleSessions();
+
+    for (const session of llmLogOps.getSessionsToCleanUp(CLEANUP_BATCH_SIZE)) {
+        try {
+            await cleanUpSession(session);
+        } catch (error) {
+            console.error(`[LLM] Failed to clean up session ${session.threadId}; will retry:`, error.message);
+        }
+    }
+}
+
+// Run the sweep now and then every 15 minutes
+function startSessionSweep() {
+    const sweep = () => {
+        sweepSessions().catch(error => console.error('LLM session sweep error:', error));
+    };
+
+    sweep();
+    setInterval(sweep, SESSION_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    COMPLETIONS_ASSISTANT_ID,
+    PORTAL_METADATA,
+    getAzureClient,
+    registerSession,
+    resolveSession,
+    findOpenSession,
+    deleteIgnoringNotFound,
+    discardAzureObjects,
+    endSession,
+    getIdleSessions,
+    expireIdleSessions,
+    cleanUpSession,
+    sweepSessions,
+    startSessionSweep
+};
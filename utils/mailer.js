@@ -0,0 +1,48 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Pluggable outbound mail.
+ * MAIL_TRANSPORT=smtp sends through SMTP_HOST/SMTP_PORT (e.g. MailHog on localhost:1025);
+ * the default "console" transport just logs messages, which is enough for local development.
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'CodeAlly Portal <no-reply@codeally.local>';
+
+let transport = null;
+
+function getTransport() {
+    if (transport) return transport;
+
+    if ((process.env.MAIL_TRANSPORT || 'console') === 'smtp') {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    } else {
+        transport = {
+            sendMail: async (message) => {
+                console.log(`[Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+                return { messageId: 'console' };
+            }
+        };
+    }
+
+    return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+    return getTransport().sendMail({ from: MAIL_FROM, to, subject, text, html });
+}
+
+// Base URL for links in emails; falls back to the incoming request's host
+function getPortalUrl(req) {
+    if (process.env.PORTAL_URL) {
+        return process.env.PORTAL_URL.replace(/\/$/, '');
+    }
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = { sendMail, getPortalUrl };
@@ -0,0 +1,78 @@
+const { userOps } = require('../models/database');
+const { sendMail } = require('./mailer');
+
+/**
+ * Optional emails users can switch on or off from their dashboard profile.
+ * Password reset and account setup emails are always sent.
+ */
+const NOTIFICATION_TYPES = {
+    securityAlerts: {
+        label: 'Security alerts: password changes, two-factor authentication turned off and new access tokens',
+        default: true
+    },
+    extensionUpdates: {
+        label: 'A new version of the extension is published',
+        default: false
+    }
+};
+
+// Stored preferences merged over the defaults; unknown keys are dropped
+function getNotificationPreferences(stored = {}) {
+    return Object.fromEntries(Object.entries(NOTIFICATION_TYPES).map(([type, { default: enabled }]) => [
+        type,
+        typeof stored[type] === 'boolean' ? stored[type] : enabled
+    ]));
+}
+
+// Validate a partial preferences update; throws on an unknown type or a non-boolean value
+function parseNotificationPreferences(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Notification preferences must be an object');
+    }
+
+    for (const [type, enabled] of Object.entries(value)) {
+        if (!NOTIFICATION_TYPES[type]) {
+            throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (typeof enabled !== 'boolean') {
+            throw new Error(`${type} must be true or false`);
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Email one user if they have this notification type switched on. Never throws:
+ * a failed notification must not fail the action that triggered it.
+ */
+async function notifyUser(user, type, { subject, text }) {
+    try {
+        if (!getNotificationPreferences(userOps.getNotificationPreferences(user.id))[type]) return;
+        await sendMail({ to: user.email, subject, text });
+    } catch (error) {
+        console.error(`Notification error (${type}):`, error);
+    }
+}
+
+// Email every active user who has this notification type switched on
+async function notifySubscribers(type, { subject, text }) {
+    const recipients = userOps.getNotificationRecipients()
+        .filter(user => getNotificationPreferences(user.notificationPreferences)[type]);
+
+    for (const user of recipients) {
+        try {
+            await sendMail({ to: user.email, subject, text });
+        } catch (error) {
+            console.error(`Notification error (${type}) for ${user.email}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    getNotificationPreferences,
+    parseNotificationPreferences,
+    notifyUser,
+    notifySubscribers
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Minimal OpenID Connect relying party (authorization-code flow with PKCE).
+ * Configured through OIDC_* environment variables; works with Entra ID
+ * (https://login.microsoftonline.com/<tenant>/v2.0) or any standards-compliant
+ * provider, including local mock servers over plain http.
+ */
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function splitList(value) {
+    return (value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function getConfig() {
+    return {
+        issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+        clientId: process.env.OIDC_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+        redirectUri: process.env.OIDC_REDIRECT_URI || '',
+        scopes: process.env.OIDC_SCOPES || 'openid profile email',
+        displayName: process.env.OIDC_DISPLAY_NAME || 'Single Sign-On',
+        groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+        adminGroups: splitList(process.env.OIDC_ADMIN_GROUPS),
+        approvedGroups: splitList(process.env.OIDC_APPROVED_GROUPS),
+        autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false',
+        // Entra ID tenant whose preferred_username/upn are trusted as email addresses
+        trustedTenantId: process.env.OIDC_TRUSTED_TENANT_ID || ''
+    };
+}
+
+function isEnabled() {
+    const config = getConfig();
+    return Boolean(config.issuer && config.clientId);
+}
+
+async function fetchJson(url, options) {
+    const res = await fetch(url, options);
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const error = new Error(body.error_description || body.error || `Request to ${url} failed with ${res.status}`);
+        error.status = res.status;
+        throw error;
+    }
+    return body;
+}
+
+// Provider metadata from /.well-known/openid-configuration
+async function getDiscovery() {
+    if (discoveryCache && discoveryCache.expiresAt > Date.now()) {
+        return discoveryCache.value;
+    }
+
+    const { issuer } = getConfig();
+    const value = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache = { value, expiresAt: Date.now() + METADATA_TTL_MS };
+    return value;
+}
+
+// Look up a signing key by kid, refetching the JWKS once if the key is unknown (rotation)
+async function getSigningKey(kid) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (!jwksCache || jwksCache.expiresAt <= Date.now() || attempt === 1) {
+            const discovery = await getDiscovery();
+            const jwks = await fetchJson(discovery.jwks_uri);
+            jwksCache = { keys: jwks.keys || [], expiresAt: Date.now() + METADATA_TTL_MS };
+        }
+
+        const jwk = jwksCache.keys.find(k => k.kid === kid) ||
+            (!kid && jwksCache.keys.length === 1 ? jwksCache.keys[0] : null);
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    }
+
+    throw new Error('No matching signing key found for ID token');
+}
+
+function createPkcePair() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+}
+
+async function buildAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const config = getConfig();
+    const discovery = await getDiscovery();
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: redirectUri,
+        scope: config.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    return `${discovery.authorization_endpoint}?${params.toString()}`;
+}
+
+async function exchangeCode({ code, redirectUri, codeVerifier }) {
+    const config = getConfig();
+    const discovery = await getDiscovery();
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: config.clientId,
+        code_verifier: codeVerifier
+    });
+    if (config.clientSecret) {
+        body.set('client_secret', config.clientSecret);
+    }
+
+    return fetchJson(discovery.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body
+    });
+}
+
+// Validate signature, issuer, audience, expiry and nonce; returns the claims
+async function verifyIdToken(idToken, expectedNonce) {
+    const config = getConfig();
+    const discovery = await getDiscovery();
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+        throw new Error('Malformed ID token');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+        issuer: discovery.issuer,
+        audience: config.clientId,
+        clockTolerance: 60
+    });
+
+    if (!expectedNonce || claims.nonce !== expectedNonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+}
+
+function normalizeEmail(value) {
+    return typeof value === 'string' && value.includes('@') ? value.toLowerCase() : null;
+}
+
+/**
+ * A verified email address from the claims, or null. Accounts are matched and created
+ * by it, so only an email the provider marks verified counts, or Entra ID's
+ * preferred_username/upn for tokens from OIDC_TRUSTED_TENANT_ID, whose domains the
+ * tenant has verified. Entra ID's email claim is never verified and is ignored.
+ */
+function getEmailFromClaims(claims) {
+    if (claims.email_verified === true) {
+        return normalizeEmail(claims.email);
+    }
+
+    const { trustedTenantId } = getConfig();
+    if (trustedTenantId && claims.tid === trustedTenantId) {
+        return normalizeEmail(claims.preferred_username || claims.upn);
+    }
+
+    return null;
+}
+
+/**
+ * Map IdP group membership to portal access.
+ * Returns { role, approve } where role is 'super-admin' or 'user', or null when no
+ * admin groups are configured (the portal's own role is left alone).
+ */
+function mapGroups(claims) {
+    const config = getConfig();
+    const groups = [].concat(claims[config.groupsClaim] || []).map(String);
+    const isAdmin = config.adminGroups.some(g => groups.includes(g));
+    const isApprovedGroup = config.approvedGroups.includes('*') || config.approvedGroups.some(g => groups.includes(g));
+
+    return {
+        role: config.adminGroups.length > 0 ? (isAdmin ? 'super-admin' : 'user') : null,
+        approve: isAdmin || isApprovedGroup
+    };
+}
+
+module.exports = {
+    getConfig,
+    isEnabled,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    getEmailFromClaims,
+    mapGroups
+};
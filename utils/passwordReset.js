@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+const { passwordResetOps } = require('../models/database');
+
+// Forced resets at signin (password or SSO) are valid for 15 minutes
+const FORCED_RESET_TOKEN_TTL_MINUTES = 15;
+
+/**
+ * Single-use password links. Only the SHA-256 of a token is stored; the raw
+ * token goes out in an email or a forced-reset signin response.
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issuePasswordResetToken(userId, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    passwordResetOps.create(hashResetToken(token), userId, ttlMinutes);
+    return token;
+}
+
+module.exports = {
+    FORCED_RESET_TOKEN_TTL_MINUTES,
+    hashResetToken,
+    issuePasswordResetToken
+};
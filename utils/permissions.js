@@ -0,0 +1,79 @@
+/**
+ * Role-based access control. Every user has one role (users.role); each role
+ * grants a fixed set of permissions, and routes check permissions with
+ * requirePermission() rather than comparing role names.
+ */
+const PERMISSIONS = {
+    'users:read': 'View users, groups, locked accounts and security events',
+    'users:approve': 'Approve or suspend accounts and manage invite links',
+    'users:manage': 'Unlock, sign out, reset passwords or 2FA for, set access end dates on, delete and restore accounts',
+    'users:impersonate': 'View the portal as a regular user, for troubleshooting, for up to an hour at a time',
+    'groups:manage': 'Create groups and manage their members',
+    'roles:assign': 'Change users\' roles and act on other admin accounts',
+    'keys:assign': 'Manage connection profiles and assign them to users, groups and invites',
+    'vsix:publish': 'Upload and delete the extension package',
+    'tools:manage': 'Add tool set versions for the extension and choose the current one',
+    'modes:manage': 'Manage agent modes: their instructions, tools, model and temperature',
+    'logs:read': 'Read LLM session logs and usage stats',
+    'audit:read': 'View and export the audit trail of admin actions',
+    'settings:read': 'View security settings and the signup policy',
+    'settings:manage': 'Change security settings and the signup policy'
+};
+
+const ROLES = {
+    'user': {
+        label: 'User',
+        permissions: []
+    },
+    'viewer': {
+        label: 'Viewer',
+        permissions: ['users:read', 'settings:read']
+    },
+    'release-manager': {
+        label: 'Release manager',
+        permissions: ['vsix:publish', 'tools:manage', 'modes:manage']
+    },
+    'billing-auditor': {
+        label: 'Billing auditor',
+        permissions: ['users:read', 'logs:read', 'audit:read']
+    },
+    'user-admin': {
+        label: 'User admin',
+        permissions: ['users:read', 'users:approve', 'users:manage', 'groups:manage']
+    },
+    'super-admin': {
+        label: 'Super admin',
+        permissions: Object.keys(PERMISSIONS)
+    }
+};
+
+// Super admins can assign roles, so the portal must always keep at least one
+const SUPER_ADMIN_ROLE = 'super-admin';
+
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+// Unknown roles grant nothing
+function getPermissions(role) {
+    return isValidRole(role) ? ROLES[role].permissions : [];
+}
+
+function hasPermission(user, permission) {
+    return Boolean(user) && getPermissions(user.role).includes(permission);
+}
+
+// Any permission at all gives access to the admin console
+function isStaff(user) {
+    return Boolean(user) && getPermissions(user.role).length > 0;
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    SUPER_ADMIN_ROLE,
+    isValidRole,
+    getPermissions,
+    hasPermission,
+    isStaff
+};
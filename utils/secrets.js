@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+/**
+ * Envelope encryption for secrets stored in the database (Azure API keys).
+ * Each value gets its own random data key; the data key is wrapped with the
+ * master key from the environment. Stored format:
+ *
+ *     enc:v<keyVersion>:<wrapped data key>:<encrypted value>
+ *
+ * Both parts are base64url(iv | auth tag | ciphertext) under AES-256-GCM.
+ * Rotating the master key only re-wraps the data keys, so old values stay
+ * readable while they are migrated as long as the previous key is configured.
+ */
+const PREFIX = 'enc:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+const GENERATE_HINT = 'Generate one with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))"';
+
+let keyring = null;
+
+// Keys are 32 bytes, given as base64 or hex
+function parseKey(value, name) {
+    const trimmed = (value || '').trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`${name} must be ${KEY_LENGTH} bytes, base64 or hex encoded. ${GENERATE_HINT}`);
+    }
+    return key;
+}
+
+function parseVersion(value, name) {
+    const version = parseInt(value);
+    if (!Number.isInteger(version) || version < 1 || String(version) !== String(value).trim()) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return version;
+}
+
+/**
+ * Read the master keys from the environment:
+ *   SECRETS_MASTER_KEY            current key (required)
+ *   SECRETS_MASTER_KEY_VERSION    its version, default 1; bump it whenever the key changes
+ *   SECRETS_PREVIOUS_MASTER_KEYS  "<version>:<key>,..." for keys still being rotated out
+ */
+function loadKeyring() {
+    if (keyring) return keyring;
+
+    if (!process.env.SECRETS_MASTER_KEY) {
+        throw new Error(`SECRETS_MASTER_KEY is not set. It is required to encrypt stored API keys. ${GENERATE_HINT}`);
+    }
+
+    const currentVersion = parseVersion(process.env.SECRETS_MASTER_KEY_VERSION || '1', 'SECRETS_MASTER_KEY_VERSION');
+    const keys = new Map([[currentVersion, parseKey(process.env.SECRETS_MASTER_KEY, 'SECRETS_MASTER_KEY')]]);
+
+    for (const entry of (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator === -1) {
+            throw new Error('SECRETS_PREVIOUS_MASTER_KEYS entries must look like <version>:<key>');
+        }
+        const version = parseVersion(entry.slice(0, separator), 'SECRETS_PREVIOUS_MASTER_KEYS version');
+        if (keys.has(version)) {
+            throw new Error(`Master key version ${version} is configured more than once`);
+        }
+        keys.set(version, parseKey(entry.slice(separator + 1), `SECRETS_PREVIOUS_MASTER_KEYS key ${version}`));
+    }
+
+    keyring = { currentVersion, keys };
+    return keyring;
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed) {
+    const data = Buffer.from(sealed, 'base64url');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function parseEnvelope(value) {
+    const match = /^enc:v(\d+):([A-Za-z0-9_-]+):([A-Za-z0-9_-]+)$/.exec(value);
+    if (!match) {
+        throw new Error('Malformed encrypted value');
+    }
+    return { version: parseInt(match[1]), wrappedKey: match[2], payload: match[3] };
+}
+
+function getMasterKey(version) {
+    const key = loadKeyring().keys.get(version);
+    if (!key) {
+        throw new Error(`Master key version ${version} is not configured; add it to SECRETS_PREVIOUS_MASTER_KEYS`);
+    }
+    return key;
+}
+
+function unwrapDataKey(envelope) {
+    try {
+        return open(getMasterKey(envelope.version), envelope.wrappedKey);
+    } catch (error) {
+        if (error.message.startsWith('Master key version')) throw error;
+        throw new Error(`Master key version ${envelope.version} cannot decrypt a stored secret (was the key changed without bumping its version?)`);
+    }
+}
+
+function encryptSecret(plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext;
+
+    const { currentVersion } = loadKeyring();
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const wrappedKey = seal(getMasterKey(currentVersion), dataKey);
+    return `${PREFIX}v${currentVersion}:${wrappedKey}:${seal(dataKey, Buffer.from(String(plaintext), 'utf8'))}`;
+}
+
+// Values written before encryption was introduced are returned as-is until the migration rewrites them
+function decryptSecret(value) {
+    if (!isEncrypted(value)) return value;
+
+    const envelope = parseEnvelope(value);
+    return open(unwrapDataKey(envelope), envelope.payload).toString('utf8');
+}
+
+// Plaintext values and values under an older master key need rewriting
+function needsReencryption(value) {
+    if (!value) return false;
+    if (!isEncrypted(value)) return true;
+    return parseEnvelope(value).version !== loadKeyring().currentVersion;
+}
+
+/**
+ * Bring a stored value up to the current master key. Encrypted values keep their
+ * data key and only have it re-wrapped; plaintext values are encrypted.
+ */
+function reencryptSecret(value) {
+    if (!isEncrypted(value)) return encryptSecret(value);
+
+    const envelope = parseEnvelope(value);
+    const { currentVersion } = loadKeyring();
+    if (envelope.version === currentVersion) return value;
+
+    const wrappedKey = seal(getMasterKey(currentVersion), unwrapDataKey(envelope));
+    return `${PREFIX}v${currentVersion}:${wrappedKey}:${envelope.payload}`;
+}
+
+// Throws unless a stored value can be opened with the configured keys
+function verifySecret(value) {
+    if (isEncrypted(value)) {
+        unwrapDataKey(parseEnvelope(value));
+    }
+}
+
+/**
+ * Startup self-check: the master key must be configured and usable.
+ * Returns the current key version for logging.
+ */
+function checkMasterKey() {
+    const { currentVersion } = loadKeyring();
+    const probe = crypto.randomBytes(16).toString('hex');
+    if (decryptSecret(encryptSecret(probe)) !== probe) {
+        throw new Error('Secret encryption self-check failed');
+    }
+    return currentVersion;
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    isEncrypted,
+    needsReencryption,
+    reencryptSecret,
+    verifySecret,
+    checkMasterKey
+};
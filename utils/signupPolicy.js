@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { settingsOps, inviteOps, securityEventOps } = require('../models/database');
+
+/**
+ * Admin-managed signup policy.
+ * Domains are stored lowercased and comma-separated in settings; a listed domain
+ * also matches its subdomains (example.com matches dev.example.com).
+ */
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+function parseDomains(value) {
+    return (value || '').split(/[\s,]+/).map(d => d.trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+}
+
+function getSignupPolicy() {
+    return {
+        allowedDomains: parseDomains(settingsOps.get('signupPolicy.allowedDomains')),
+        blockedDomains: parseDomains(settingsOps.get('signupPolicy.blockedDomains'))
+    };
+}
+
+function setSignupPolicy({ allowedDomains, blockedDomains }) {
+    for (const [key, value] of [['allowedDomains', allowedDomains], ['blockedDomains', blockedDomains]]) {
+        if (value === undefined) continue;
+        const domains = Array.isArray(value) ? value.map(d => String(d).trim().toLowerCase()) : parseDomains(value);
+        const invalid = domains.find(d => !DOMAIN_REGEX.test(d));
+        if (invalid) {
+            throw new Error(`Invalid domain: ${invalid}`);
+        }
+        settingsOps.set(`signupPolicy.${key}`, [...new Set(domains)].join(','));
+    }
+}
+
+function matchDomain(email, domains) {
+    const domain = email.split('@').pop().toLowerCase();
+    return domains.find(d => domain === d || domain.endsWith(`.${d}`)) || null;
+}
+
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateInviteToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Returns the invite for a token if it can still be used by this email (email optional for previews)
+function findUsableInvite(token, email = null) {
+    if (!token || typeof token !== 'string') return null;
+    const invite = inviteOps.findValidByHash(hashInviteToken(token));
+    if (!invite) return null;
+    if (email && invite.email && invite.email.toLowerCase() !== email.toLowerCase()) return null;
+    return invite;
+}
+
+/**
+ * Decide what happens to a new account.
+ * Returns { decision, isApproved, reason, invite } where decision is
+ * 'blocked', 'invite', 'allowlisted' or 'pending'. The blocklist always wins.
+ */
+function evaluateSignup(email, invite = null) {
+    const policy = getSignupPolicy();
+
+    const blocked = matchDomain(email, policy.blockedDomains);
+    if (blocked) {
+        return { decision: 'blocked', isApproved: false, reason: `Domain ${blocked} is blocked`, invite: null };
+    }
+
+    if (invite) {
+        return { decision: 'invite', isApproved: true, reason: `Invite #${invite.id}`, invite };
+    }
+
+    const allowed = matchDomain(email, policy.allowedDomains);
+    if (allowed) {
+        return { decision: 'allowlisted', isApproved: true, reason: `Domain ${allowed} is allowlisted`, invite: null };
+    }
+
+    return { decision: 'pending', isApproved: false, reason: null, invite: null };
+}
+
+// Record why an account was (or wasn't) let in
+function recordSignupDecision(result, { userId = null, email, ipAddress, source = 'signup' }) {
+    securityEventOps.record(`signup_${result.decision}`, {
+        userId,
+        email,
+        ipAddress,
+        details: [source, result.reason].filter(Boolean).join(': ')
+    });
+}
+
+module.exports = {
+    getSignupPolicy,
+    setSignupPolicy,
+    hashInviteToken,
+    generateInviteToken,
+    findUsableInvite,
+    evaluateSignup,
+    recordSignupDecision
+};
@@ -0,0 +1,215 @@
+const path = require('path');
+const { settingsOps } = require('../models/database');
+const { PROJECT_PATH_FORMAT, validateArguments } = require('./toolSets');
+
+/**
+ * Checks on the tool calls the model makes and the outputs the extension returns.
+ * Every call is validated against its tool's schema before it reaches the extension;
+ * calls that fail are flagged with an error for the extension not to run, and their
+ * outputs are replaced with that error when submitted, so the model is told either
+ * way. Outputs over the configured size are truncated or refused.
+ */
+
+// Path arguments of the built-in tools, for tool sets seeded before they were marked
+// with PROJECT_PATH_FORMAT; any argument a schema marks is checked as well
+const LEGACY_PATH_ARGUMENTS = {
+    read_file: 'path',
+    write_file: 'path',
+    list_directory: 'path',
+    grep_search: 'path',
+    report_issue: 'file'
+};
+
+// Defaults for tool output limits; each can be overridden through settingsOps
+const TOOL_OUTPUT_DEFAULTS = {
+    maxChars: 100000,       // characters per output; 0 for no limit
+    oversized: 'truncate'   // 'truncate' or 'reject' outputs over maxChars
+};
+
+const OVERSIZED_ACTIONS = ['truncate', 'reject'];
+
+function getToolOutputSettings() {
+    const maxChars = parseInt(settingsOps.get('toolOutputs.maxChars'));
+    const oversized = settingsOps.get('toolOutputs.oversized');
+    return {
+        maxChars: Number.isFinite(maxChars) && maxChars >= 0 ? maxChars : TOOL_OUTPUT_DEFAULTS.maxChars,
+        oversized: OVERSIZED_ACTIONS.includes(oversized) ? oversized : TOOL_OUTPUT_DEFAULTS.oversized
+    };
+}
+
+function setToolOutputSettings(values) {
+    if (values.maxChars !== undefined) {
+        const maxChars = parseInt(values.maxChars);
+        if (!Number.isFinite(maxChars) || maxChars < 0) {
+            throw new Error('Invalid value for maxChars');
+        }
+        settingsOps.set('toolOutputs.maxChars', String(maxChars));
+    }
+    if (values.oversized !== undefined) {
+        if (!OVERSIZED_ACTIONS.includes(values.oversized)) {
+            throw new Error(`oversized must be one of ${OVERSIZED_ACTIONS.join(', ')}`);
+        }
+        settingsOps.set('toolOutputs.oversized', values.oversized);
+    }
+}
+
+// Returns why a path argument isn't a path inside the project, or null
+function checkProjectPath(value) {
+    if (value.includes('\0')) {
+        return 'contains a NUL character';
+    }
+    const normalized = value.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[A-Za-z]:/.test(normalized)) {
+        return 'must be relative to the project root';
+    }
+    if (path.posix.normalize(normalized).split('/')[0] === '..') {
+        return 'is outside the project root';
+    }
+    return null;
+}
+
+// The string arguments schema marks as project paths, as [name, value] pairs
+function findProjectPaths(schema, value, name, found = []) {
+    if (!schema || typeof schema !== 'object') return found;
+
+    if (schema.format === PROJECT_PATH_FORMAT && typeof value === 'string') {
+        found.push([name, value]);
+    }
+    (schema.anyOf || []).forEach(option => findProjectPaths(option, value, name, found));
+
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => findProjectPaths(schema.items, item, `${name}[${i}]`, found));
+    } else if (value && typeof value === 'object') {
+        for (const [key, property] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+            findProjectPaths(propertySchema, property, name ? `${name}.${key}` : key, found);
+        }
+    }
+    return found;
+}
+
+/**
+ * Check a tool call from the model against the tools of its run. Returns null if it
+ * can be run, or { code, message } explaining why not.
+ */
+function checkToolCall(call, tools) {
+    const name = call.function?.name;
+    const tool = tools.find(t => t.function.name === name);
+    if (!tool) {
+        return { code: 'UNKNOWN_TOOL', message: `There is no tool "${name}" in this session` };
+    }
+
+    let args;
+    try {
+        args = JSON.parse(call.function.arguments || '{}');
+    } catch (e) {
+        return { code: 'INVALID_JSON', message: `The arguments for ${name} are not valid JSON` };
+    }
+
+    const argumentsError = validateArguments(tool.function.parameters, args, 'arguments');
+    if (argumentsError) {
+        return { code: 'INVALID_ARGUMENTS', message: `Invalid arguments for ${name}: ${argumentsError}` };
+    }
+
+    const paths = findProjectPaths(tool.function.parameters, args, '');
+    const legacyArgument = LEGACY_PATH_ARGUMENTS[name];
+    if (typeof args[legacyArgument] === 'string') {
+        paths.push([legacyArgument, args[legacyArgument]]);
+    }
+    for (const [argument, value] of paths) {
+        const pathError = checkProjectPath(value);
+        if (pathError) {
+            return { code: 'PATH_OUTSIDE_PROJECT', message: `The ${argument} "${value}" for ${name} ${pathError}` };
+        }
+    }
+
+    return null;
+}
+
+// Tool calls with an error field added to the ones the extension must not run
+function flagToolCalls(toolCalls, tools) {
+    return toolCalls.map(call => {
+        const error = checkToolCall(call, tools);
+        if (!error) return call;
+        console.warn(`[LLM] Rejected tool call ${call.id} (${call.function?.name}): ${error.message}`);
+        return { ...call, error };
+    });
+}
+
+function invalidOutputs(message) {
+    return { status: 400, body: { error: 'INVALID_TOOL_OUTPUTS', message } };
+}
+
+/**
+ * Check the outputs posted for a run against the calls it is waiting on, as
+ * { toolOutputs, truncated } ready to submit, or { status, body } refusing them.
+ * Outputs of calls checkToolCall rejects are replaced with the rejection.
+ */
+function prepareToolOutputs(toolOutputs, pendingCalls, tools) {
+    if (!Array.isArray(toolOutputs) || toolOutputs.length === 0) {
+        return invalidOutputs('toolOutputs must be a non-empty list');
+    }
+
+    const pendingById = new Map(pendingCalls.map(call => [call.id, call]));
+    const seen = new Set();
+    for (const output of toolOutputs) {
+        if (!output || typeof output.tool_call_id !== 'string' || typeof output.output !== 'string') {
+            return invalidOutputs('Each tool output must be { "tool_call_id": string, "output": string }');
+        }
+        if (!pendingById.has(output.tool_call_id)) {
+            return invalidOutputs(`The run is not waiting for tool call ${output.tool_call_id}`);
+        }
+        if (seen.has(output.tool_call_id)) {
+            return invalidOutputs(`Tool call ${output.tool_call_id} has more than one output`);
+        }
+        seen.add(output.tool_call_id);
+    }
+
+    const missing = pendingCalls.find(call => !seen.has(call.id));
+    if (missing) {
+        return invalidOutputs(`Missing the output for tool call ${missing.id}`);
+    }
+
+    const { maxChars, oversized } = getToolOutputSettings();
+    let truncated = 0;
+    const prepared = [];
+
+    for (const { tool_call_id, output } of toolOutputs) {
+        const error = checkToolCall(pendingById.get(tool_call_id), tools);
+        if (error) {
+            prepared.push({ tool_call_id, output: `Error: the portal rejected this tool call. ${error.message}` });
+            continue;
+        }
+
+        if (maxChars > 0 && output.length > maxChars) {
+            if (oversized === 'reject') {
+                return {
+                    status: 413,
+                    body: {
+                        error: 'TOOL_OUTPUT_TOO_LARGE',
+                        message: `The output for tool call ${tool_call_id} is ${output.length} characters; the limit is ${maxChars}`,
+                        maxChars
+                    }
+                };
+            }
+            truncated++;
+            prepared.push({
+                tool_call_id,
+                output: `${output.slice(0, maxChars)}\n[Truncated by the portal from ${output.length} to ${maxChars} characters]`
+            });
+            continue;
+        }
+
+        prepared.push({ tool_call_id, output });
+    }
+
+    return { toolOutputs: prepared, truncated };
+}
+
+module.exports = {
+    getToolOutputSettings,
+    setToolOutputSettings,
+    checkToolCall,
+    flagToolCalls,
+    prepareToolOutputs
+};
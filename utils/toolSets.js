@@ -0,0 +1,504 @@
+const { toolSetOps } = require('../models/database');
+
+/**
+ * Tool sets: the function tools assistants run with, stored as immutable versions so
+ * the portal and the extension can change independently. The extension declares the
+ * version it implements when it starts a session; the portal serves that version's
+ * tools for the whole session, or refuses if it doesn't have it or it was retired.
+ * New assistants are created with the current version.
+ */
+
+// Seeded on first start; matches the extension releases that didn't declare a version
+const DEFAULT_TOOL_SET_VERSION = '1.0.0';
+
+const VERSION_REGEX = /^[0-9A-Za-z][0-9A-Za-z._+-]{0,31}$/;
+const TOOL_NAME_REGEX = /^[a-zA-Z0-9_-]{1,64}$/;
+// Azure OpenAI limits
+const MAX_TOOLS = 128;
+const MAX_DESCRIPTION_LENGTH = 1024;
+
+const SCHEMA_TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+// The JSON schema keywords tool parameters may use; anything else is most likely a typo
+const SCHEMA_KEYWORDS = new Set([
+    'type', 'description', 'title', 'properties', 'required', 'additionalProperties', 'items', 'enum',
+    'anyOf', 'default', 'format', 'pattern', 'minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems'
+]);
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems'];
+// format of string parameters that name a file or directory relative to the project root
+const PROJECT_PATH_FORMAT = 'project-path';
+
+const DEFAULT_TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'read_file',
+            description: 'Read the contents of a file at the specified path. Use this to examine existing code, configuration files, or any text-based file.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Relative path to the file from project root',
+                        format: PROJECT_PATH_FORMAT
+                    }
+                },
+                required: ['path']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'write_file',
+            description: 'Write content to a file. Creates the file if it does not exist, or overwrites if it does. Use for creating new files or modifying existing ones.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Relative path to the file from project root',
+                        format: PROJECT_PATH_FORMAT
+                    },
+                    content: {
+                        type: 'string',
+                        description: 'The complete content to write to the file'
+                    }
+                },
+                required: ['path', 'content']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'list_directory',
+            description: 'List the contents of a directory. Returns files and subdirectories with basic info.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    path: {
+                        type: 'string',
+                        description: 'Relative path to the directory from project root. Use "." for project root.',
+                        format: PROJECT_PATH_FORMAT
+                    }
+                },
+                required: ['path']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'grep_search',
+            description: 'Search for a pattern in files. Useful for finding where something is defined or used in the codebase.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    pattern: {
+                        type: 'string',
+                        description: 'The search pattern (supports regex)'
+                    },
+                    path: {
+                        type: 'string',
+                        description: 'Directory or file to search in (relative to project root). Use "." for entire project.',
+                        format: PROJECT_PATH_FORMAT
+                    },
+                    include: {
+                        type: 'string',
+                        description: 'Optional glob pattern to filter files (e.g., "*.ts" for TypeScript files)'
+                    }
+                },
+                required: ['pattern']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'report_issue',
+            description: 'Report a single WCAG non-compliance issue by appending it to the accessibility report memory file. Use this in Report Mode after analyzing a file (do not fix the issue).',
+            parameters: {
+                type: 'object',
+                properties: {
+                    file: {
+                        type: 'string',
+                        description: 'Relative file path where the issue was found (relative to project root)',
+                        format: PROJECT_PATH_FORMAT
+                    },
+                    line: {
+                        type: 'number',
+                        description: '1-based line number where the issue was found (use best effort if approximate)'
+                    },
+                    wcagGuideline: {
+                        type: 'string',
+                        description: 'WCAG criterion/guideline (e.g., "1.1.1 Non-text Content")'
+                    },
+                    level: {
+                        type: 'string',
+                        enum: ['A', 'AA', 'AAA'],
+                        description: 'Conformance level (A, AA, or AAA)'
+                    },
+                    severity: {
+                        type: 'string',
+                        enum: ['low', 'medium', 'high', 'critical'],
+                        description: 'Severity of the issue'
+                    },
+                    issue: {
+                        type: 'string',
+                        description: 'Short description of what is non-compliant'
+                    },
+                    recommendation: {
+                        type: 'string',
+                        description: 'Recommended action to address the issue'
+                    },
+                    principle: {
+                        type: 'string',
+                        description: 'Optional: WCAG principle (Perceivable, Operable, Understandable, Robust)'
+                    },
+                    snippet: {
+                        type: 'string',
+                        description: 'Optional: relevant code snippet or excerpt'
+                    }
+                },
+                required: ['file', 'line', 'wcagGuideline', 'level', 'severity', 'issue', 'recommendation']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'generate_report',
+            description: 'Generate the accessibility non-compliance report webview from the accumulated report memory file. Call this once after all files have been scanned in Report Mode.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    title: {
+                        type: 'string',
+                        description: 'Optional report title (e.g., "Accessibility Compliance Report")'
+                    },
+                    filesScanned: {
+                        type: 'number',
+                        description: 'Optional: number of files scanned during the audit'
+                    }
+                },
+                required: []
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'attempt_completion',
+            description: 'Call this when you have completed the task. Provide a summary of what was accomplished.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    result: {
+                        type: 'string',
+                        description: 'Summary of what was accomplished'
+                    },
+                    command: {
+                        type: 'string',
+                        description: 'Optional: A suggested next message the user can click to send in chat (e.g., prompting to start fixing issues or generating a new report)'
+                    }
+                },
+                required: ['result']
+            }
+        }
+    }
+];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Throws if schema isn't a JSON schema the portal accepts; path names it in the error
+function validateSchema(schema, path) {
+    if (!isPlainObject(schema)) {
+        throw new Error(`${path} must be a JSON schema object`);
+    }
+
+    for (const keyword of Object.keys(schema)) {
+        if (!SCHEMA_KEYWORDS.has(keyword)) {
+            throw new Error(`${path} uses an unsupported keyword "${keyword}"`);
+        }
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (types.length === 0 || !types.every(type => SCHEMA_TYPES.includes(type))) {
+            throw new Error(`${path}.type must be one of ${SCHEMA_TYPES.join(', ')}`);
+        }
+    }
+
+    for (const keyword of ['description', 'title', 'format']) {
+        if (schema[keyword] !== undefined && typeof schema[keyword] !== 'string') {
+            throw new Error(`${path}.${keyword} must be a string`);
+        }
+    }
+
+    if (schema.properties !== undefined) {
+        if (!isPlainObject(schema.properties)) {
+            throw new Error(`${path}.properties must be an object`);
+        }
+        for (const [name, property] of Object.entries(schema.properties)) {
+            validateSchema(property, `${path}.properties.${name}`);
+        }
+    }
+
+    if (schema.required !== undefined) {
+        if (!Array.isArray(schema.required) || !schema.required.every(name => typeof name === 'string')) {
+            throw new Error(`${path}.required must be a list of property names`);
+        }
+        const missing = schema.required.find(name => !schema.properties?.[name]);
+        if (missing) {
+            throw new Error(`${path}.required lists "${missing}", which is not in ${path}.properties`);
+        }
+    }
+
+    if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+        validateSchema(schema.additionalProperties, `${path}.additionalProperties`);
+    }
+
+    if (schema.items !== undefined) {
+        validateSchema(schema.items, `${path}.items`);
+    }
+
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+        throw new Error(`${path}.enum must be a non-empty list`);
+    }
+
+    if (schema.anyOf !== undefined) {
+        if (!Array.isArray(schema.anyOf) || schema.anyOf.length === 0) {
+            throw new Error(`${path}.anyOf must be a non-empty list of schemas`);
+        }
+        schema.anyOf.forEach((option, i) => validateSchema(option, `${path}.anyOf[${i}]`));
+    }
+
+    for (const keyword of ['minimum', 'maximum']) {
+        if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+            throw new Error(`${path}.${keyword} must be a number`);
+        }
+    }
+    for (const keyword of COUNT_KEYWORDS) {
+        if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) {
+            throw new Error(`${path}.${keyword} must be a whole number`);
+        }
+    }
+
+    if (schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern);
+        } catch (e) {
+            throw new Error(`${path}.pattern is not a valid regular expression`);
+        }
+    }
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'null': return value === null;
+        default: return false;
+    }
+}
+
+/**
+ * Returns a message for the first way value breaks schema, a schema validateSchema
+ * accepted, or null if it matches; path names the value in the message. format isn't
+ * checked here; toolCalls checks the project paths.
+ */
+function validateArguments(schema, value, path) {
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return `${path} must be of type ${types.join(' or ')}`;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        return `${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    }
+
+    if (schema.anyOf && schema.anyOf.every(option => validateArguments(option, value, path))) {
+        return `${path} doesn't match any of the allowed schemas`;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return `${path} must be at least ${schema.minLength} characters`;
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return `${path} must be at most ${schema.maxLength} characters`;
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            return `${path} must match ${schema.pattern}`;
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return `${path} must be at least ${schema.minimum}`;
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return `${path} must be at most ${schema.maximum}`;
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return `${path} must have at least ${schema.minItems} items`;
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return `${path} must have at most ${schema.maxItems} items`;
+        }
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = validateArguments(schema.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const missing = (schema.required || []).find(name => value[name] === undefined);
+        if (missing) {
+            return `${path}.${missing} is required`;
+        }
+
+        for (const [name, property] of Object.entries(value)) {
+            const propertySchema = schema.properties?.[name];
+            if (propertySchema) {
+                const error = validateArguments(propertySchema, property, `${path}.${name}`);
+                if (error) return error;
+            } else if (schema.additionalProperties === false) {
+                return `${path} has an unknown property "${name}"`;
+            } else if (isPlainObject(schema.additionalProperties)) {
+                const error = validateArguments(schema.additionalProperties, property, `${path}.${name}`);
+                if (error) return error;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate a list of tool definitions in the Assistants API format
+ * ({ type: 'function', function: { name, description, parameters } }).
+ * Throws an error naming the first problem.
+ */
+function validateTools(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) {
+        throw new Error('Tools must be a non-empty list');
+    }
+    if (tools.length > MAX_TOOLS) {
+        throw new Error(`A tool set can have at most ${MAX_TOOLS} tools`);
+    }
+
+    const names = new Set();
+    tools.forEach((tool, i) => {
+        const path = `tools[${i}]`;
+        if (!isPlainObject(tool) || tool.type !== 'function' || !isPlainObject(tool.function)) {
+            throw new Error(`${path} must be { "type": "function", "function": { ... } }`);
+        }
+
+        const { name, description, parameters, ...rest } = tool.function;
+        const unknown = Object.keys(rest).find(key => key !== 'strict');
+        if (unknown) {
+            throw new Error(`${path}.function has an unknown field "${unknown}"`);
+        }
+        if (typeof name !== 'string' || !TOOL_NAME_REGEX.test(name)) {
+            throw new Error(`${path}.function.name must be 1-64 letters, digits, underscores or dashes`);
+        }
+        if (names.has(name)) {
+            throw new Error(`Tool "${name}" is defined more than once`);
+        }
+        names.add(name);
+
+        if (typeof description !== 'string' || !description.trim() || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new Error(`Tool "${name}" needs a description of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        validateSchema(parameters, `${name}.parameters`);
+        if (parameters.type !== 'object') {
+            throw new Error(`${name}.parameters must have "type": "object"`);
+        }
+    });
+}
+
+// Returns an error message for an invalid version name, or null
+function validateVersion(version) {
+    if (typeof version !== 'string' || !VERSION_REGEX.test(version)) {
+        return 'Version must be 1-32 letters, digits, dots, dashes, underscores or plus signs, e.g. 1.2.0';
+    }
+    return null;
+}
+
+// Seed the default tool set the first time the portal starts
+function ensureDefaultToolSet() {
+    if (toolSetOps.count() === 0) {
+        toolSetOps.create({
+            version: DEFAULT_TOOL_SET_VERSION,
+            tools: DEFAULT_TOOLS,
+            notes: 'Built-in tools'
+        });
+        toolSetOps.setCurrentVersion(DEFAULT_TOOL_SET_VERSION);
+        console.log(`Created the default tool set ${DEFAULT_TOOL_SET_VERSION}`);
+    }
+}
+
+function getCurrentToolSet() {
+    return toolSetOps.findByVersion(toolSetOps.getCurrentVersion());
+}
+
+/**
+ * The tool set for a new session from the version the extension declared, as
+ * { toolSet }, or { status, body } refusing the session. Extensions that don't
+ * declare a version get the current one.
+ */
+function resolveToolSet(version) {
+    const current = getCurrentToolSet();
+
+    if (version === undefined || version === null) {
+        return { toolSet: current };
+    }
+
+    const toolSet = typeof version === 'string' ? toolSetOps.findByVersion(version) : null;
+    if (!toolSet || toolSet.retiredAt) {
+        return {
+            status: 409,
+            body: {
+                error: 'TOOL_SET_MISMATCH',
+                message: toolSet
+                    ? `Tool set ${version} has been retired. Update the extension to use tool set ${current.version}.`
+                    : `The portal has no tool set ${version}. Update the extension or ask an administrator to add it.`,
+                currentVersion: current.version
+            }
+        };
+    }
+
+    return { toolSet };
+}
+
+// The tools a session's runs use: the version it started with, or the current one for older sessions
+function getSessionTools(session) {
+    const toolSet = session.toolSetVersion ? toolSetOps.findByVersion(session.toolSetVersion) : null;
+    return (toolSet || getCurrentToolSet()).tools;
+}
+
+module.exports = {
+    DEFAULT_TOOL_SET_VERSION,
+    PROJECT_PATH_FORMAT,
+    validateTools,
+    validateArguments,
+    validateVersion,
+    ensureDefaultToolSet,
+    getCurrentToolSet,
+    resolveToolSet,
+    getSessionTools
+};
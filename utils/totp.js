@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// TOTP (RFC 6238) with the defaults authenticator apps expect: SHA-1, 6 digits, 30s steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value (RFC 4226) for a given counter
+function generateCode(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way.
+ * Returns the matched time step, or null. Steps at or before lastUsedStep
+ * are rejected so a code cannot be replayed.
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+    if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const step = currentStep();
+    for (let drift = -1; drift <= 1; drift++) {
+        const candidate = step + drift;
+        if (lastUsedStep !== null && candidate <= lastUsedStep) {
+            continue;
+        }
+        const expected = generateCode(secret, candidate);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+// otpauth:// URI for QR-code provisioning in authenticator apps
+function buildOtpAuthUri(secret, accountName, issuer = 'CodeAlly Portal') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// One-time recovery codes in xxxxx-xxxxx form
+function generateRecoveryCodes(count = 10) {
+    return Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpAuthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};